@@ -2,30 +2,111 @@ import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
 import dotenv from "dotenv";
+import {
+  LOCAL_STORAGE_DIR,
+  LOCAL_UPLOADS_ROUTE,
+} from "./utils/storage/local.driver.js";
+import {
+  REQUEST_ID_HEADER,
+  requestLogger,
+} from "./middlewares/requestLogger.middleware.js";
 
 dotenv.config();
 
 const app = express();
 
-app.use(cors({ origin: process.env.CORS_ORIGIN, credentials: true }));
+// Request ids and access logs, first so every request is covered
+app.use(requestLogger);
+app.use(
+  cors({
+    origin: process.env.CORS_ORIGIN,
+    credentials: true,
+    exposedHeaders: [REQUEST_ID_HEADER],
+  })
+);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
+// Media stored by the local storage driver
+app.use(LOCAL_UPLOADS_ROUTE, express.static(LOCAL_STORAGE_DIR));
 
 // Test Route
 app.get("/test", (req, res) => {
   res.send("Test route is working!");
 });
 
+// Health Checks
+import { getHealth, getReadiness } from "./controllers/health.controller.js";
+app.get("/health", getHealth);
+app.get("/ready", getReadiness);
+
+// Metrics
+import { getMetrics } from "./controllers/metrics.controller.js";
+app.get("/metrics", getMetrics);
+
 // User Routes
 import userRouter from "./routes/user.routes.js";
 app.use("/api/v1/users", userRouter);
 
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  if (process.env.NODE_ENV === "development") {
-    return res.status(500).json({ message: err.message, stack: err.stack });
-  }
-  res.status(500).json({ message: "Something went wrong!" });
-});
+// Video Routes
+import videoRouter from "./routes/video.routes.js";
+app.use("/api/v1/videos", videoRouter);
+
+// Subscription Routes
+import subscriptionRouter from "./routes/subscription.routes.js";
+app.use("/api/v1/subscriptions", subscriptionRouter);
+
+// Session Routes
+import sessionRouter from "./routes/session.routes.js";
+app.use("/api/v1/sessions", sessionRouter);
+
+// Personal Access Token Routes
+import personalAccessTokenRouter from "./routes/personalAccessToken.routes.js";
+app.use("/api/v1/tokens", personalAccessTokenRouter);
+
+// Comment Routes
+import commentRouter from "./routes/comment.routes.js";
+app.use("/api/v1/comments", commentRouter);
+
+// Like Routes
+import likeRouter from "./routes/like.routes.js";
+app.use("/api/v1/likes", likeRouter);
+
+// Playlist Routes
+import playlistRouter from "./routes/playlist.routes.js";
+app.use("/api/v1/playlists", playlistRouter);
+
+// Community Post Routes
+import postRouter from "./routes/post.routes.js";
+app.use("/api/v1/posts", postRouter);
+
+// Upload Routes
+import uploadRouter from "./routes/upload.routes.js";
+app.use("/api/v1/uploads", uploadRouter);
+
+// Notification Routes
+import notificationRouter from "./routes/notification.routes.js";
+app.use("/api/v1/notifications", notificationRouter);
+
+// Feed Routes
+import feedRouter from "./routes/feed.routes.js";
+app.use("/api/v1/feed", feedRouter);
+
+// Search Routes
+import searchRouter from "./routes/search.routes.js";
+app.use("/api/v1/search", searchRouter);
+
+// Creator Dashboard Routes
+import dashboardRouter from "./routes/dashboard.routes.js";
+app.use("/api/v1/dashboard", dashboardRouter);
+
+// Admin Routes
+import adminRouter from "./routes/admin.routes.js";
+app.use("/api/v1/admin", adminRouter);
+
+// Unmatched routes and error handling
+import { errorHandler, notFound } from "./middlewares/error.middleware.js";
+app.use(notFound);
+app.use(errorHandler);
+
 export { app };
@@ -1 +1,38 @@
 export const DB_NAME = "Cluster0";
+
+// Roles in increasing order of privilege
+export const USER_ROLES = ["user", "moderator", "admin"];
+
+export const USER_STATUSES = ["active", "suspended", "banned"];
+
+// What each role is allowed to do, checked by the authorize middleware
+export const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ["users:read", "users:suspend", "videos:moderate"],
+  admin: [
+    "users:read",
+    "users:suspend",
+    "users:ban",
+    "users:role",
+    "videos:moderate",
+  ],
+};
+
+export const NOTIFICATION_TYPES = [
+  "video-published", // a subscribed channel published a video
+  "comment-reply", // someone replied to your comment
+  "new-subscriber", // someone subscribed to your channel
+  "like", // someone liked your video, comment or post
+];
+
+// Where uploaded files wait until they are moved to storage
+export const TEMP_UPLOAD_DIR = "./public/temp";
+
+// Scopes a personal access token can be granted. Routes opt in to tokens with
+// allowAccessToken(scope); every other authenticated route is session-only.
+export const TOKEN_SCOPES = [
+  "profile:read", // read the current user's account
+  "videos:write", // upload, publish, edit and delete videos
+  "playlists:write", // create and curate playlists
+  "analytics:read", // creator dashboard and exports
+];
@@ -0,0 +1,122 @@
+// Import utility functions and necessary models
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { User } from "../models/user.models.js"; // User model for MongoDB queries
+import { Video } from "../models/vedio.models.js"; // Video model for MongoDB queries
+import { Subscription } from "../models/subscription.model.js"; // Subscription model for MongoDB queries
+import { PersonalAccessToken } from "../models/personalAccessToken.model.js"; // Personal access tokens of the user
+import { revokeSessions } from "../utils/session.js";
+import { verifyTwoFactor } from "../utils/twoFactor.js";
+import { getDeletionGracePeriodMs } from "../utils/accountDeletion.js";
+
+// Public fields of the other side of a subscription
+const CHANNEL_FIELDS = "username fullname avatar";
+
+/**
+ * Downloads a copy of the current user's data as a JSON file: profile,
+ * watch history, subscriptions in both directions and their videos' metadata.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const exportAccountData = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  const [profile, subscriptions, subscribers, videos] = await Promise.all([
+    User.findById(userId)
+      .select("-password -refreshToken")
+      .populate("watchHistory.video", "title duration owner")
+      .lean(),
+    Subscription.find({ subscriber: userId })
+      .populate("channel", CHANNEL_FIELDS)
+      .select("channel createdAt")
+      .lean(),
+    Subscription.find({ channel: userId })
+      .populate("subscriber", CHANNEL_FIELDS)
+      .select("subscriber createdAt")
+      .lean(),
+    Video.find({ owner: userId }).select("-__v").lean(),
+  ]);
+
+  const { watchHistory, ...account } = profile;
+
+  const data = {
+    exportedAt: new Date(),
+    profile: account,
+    watchHistory,
+    subscriptions: subscriptions.map(({ channel, createdAt }) => ({
+      channel,
+      subscribedAt: createdAt,
+    })),
+    subscribers: subscribers.map(({ subscriber, createdAt }) => ({
+      subscriber,
+      subscribedAt: createdAt,
+    })),
+    videos,
+  };
+
+  const date = new Date().toISOString().slice(0, 10);
+
+  return res
+    .status(200)
+    .set({
+      "Content-Type": "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${req.user.username}-data-${date}.json"`,
+    })
+    .send(JSON.stringify(data, null, 2));
+});
+
+/**
+ * Schedules the current user's account for deletion after the grace period.
+ * Every session and access token is revoked; logging in again before the
+ * deletion date cancels the request.
+ * @param {Object} req - Express request object with password (and code when 2FA is on) in the body.
+ * @param {Object} res - Express response object.
+ */
+const requestAccountDeletion = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.secret +twoFactor.lastUsedStep"
+  );
+
+  const isPasswordValid = await user.isPasswordCorrect(password);
+  if (!isPasswordValid) {
+    throw new ApiError(401, "Invalid password");
+  }
+  if (user.twoFactor?.enabled && !(await verifyTwoFactor(user, { code }))) {
+    throw new ApiError(401, "Invalid two-factor code");
+  }
+
+  const now = new Date();
+  const deletionScheduledFor = new Date(
+    now.getTime() + getDeletionGracePeriodMs()
+  );
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { deletionRequestedAt: now, deletionScheduledFor } }
+  );
+  await revokeSessions({ user: user._id }, "account-deletion");
+  await PersonalAccessToken.deleteMany({ user: user._id });
+
+  // The session cookies are no longer valid
+  const options = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+  };
+
+  return res
+    .status(200)
+    .clearCookie("accessToken", options)
+    .clearCookie("refreshToken", options)
+    .json(
+      new ApiResponse(
+        200,
+        { deletionScheduledFor },
+        "Account scheduled for deletion, log in before then to cancel"
+      )
+    );
+});
+
+export { exportAccountData, requestAccountDeletion };
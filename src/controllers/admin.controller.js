@@ -0,0 +1,244 @@
+// Import utility functions and necessary models
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { User } from "../models/user.models.js"; // User model for MongoDB queries
+import { Video } from "../models/vedio.models.js"; // Video model for MongoDB queries
+import { getPaginationOptions } from "../utils/pagination.js";
+import { revokeSessions } from "../utils/session.js";
+import { USER_ROLES } from "../constants.js";
+
+// Fields admins get to see when listing users
+const ADMIN_USER_FIELDS =
+  "username email fullname avatar role status suspendedUntil statusReason isEmailVerified createdAt";
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Load the target user and make sure the actor outranks them.
+ * Moderators can't act on moderators or admins, and nobody can act on themselves.
+ * @param {Object} actor - The authenticated user (req.user).
+ * @param {String} userId - The ID of the user being moderated.
+ * @returns {Object} - The target user document.
+ */
+const findModeratableUser = async (actor, userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  if (
+    actor._id.equals(user._id) ||
+    USER_ROLES.indexOf(user.role) >= USER_ROLES.indexOf(actor.role)
+  ) {
+    throw new ApiError(403, "You can't moderate this account");
+  }
+
+  return user;
+};
+
+/**
+ * Lists and searches users with pagination.
+ * @param {Object} req - Express request object with q, role, status, page and limit query params.
+ * @param {Object} res - Express response object.
+ */
+const getUsers = asyncHandler(async (req, res) => {
+  const { q, role, status } = req.query;
+
+  const match = {};
+  if (role) match.role = role;
+  if (status) match.status = status;
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), "i");
+    match.$or = [
+      { username: pattern },
+      { fullname: pattern },
+      { email: pattern },
+    ];
+  }
+
+  const aggregate = User.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $project: Object.fromEntries(
+        ADMIN_USER_FIELDS.split(" ").map((field) => [field, 1])
+      ),
+    },
+  ]);
+
+  const users = await User.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, users, "Users fetched successfully"));
+});
+
+/**
+ * Suspends an account for a number of days and signs it out everywhere.
+ * @param {Object} req - Express request object with userId param and days/reason in the body.
+ * @param {Object} res - Express response object.
+ */
+const suspendUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { days, reason } = req.body;
+
+  const user = await findModeratableUser(req.user, userId);
+  if (user.status === "banned") {
+    throw new ApiError(409, "User is already banned");
+  }
+
+  user.status = "suspended";
+  user.suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  user.statusReason = reason;
+  await user.save({ validateBeforeSave: false });
+
+  await revokeSessions({ user: user._id }, "suspended");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { status: user.status, suspendedUntil: user.suspendedUntil },
+        "User suspended"
+      )
+    );
+});
+
+/**
+ * Bans an account permanently and signs it out everywhere.
+ * @param {Object} req - Express request object with userId param and reason in the body.
+ * @param {Object} res - Express response object.
+ */
+const banUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { reason } = req.body;
+
+  const user = await findModeratableUser(req.user, userId);
+
+  user.status = "banned";
+  user.suspendedUntil = undefined;
+  user.statusReason = reason;
+  await user.save({ validateBeforeSave: false });
+
+  await revokeSessions({ user: user._id }, "banned");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { status: user.status }, "User banned"));
+});
+
+/**
+ * Lifts a suspension or ban.
+ * @param {Object} req - Express request object with userId param.
+ * @param {Object} res - Express response object.
+ */
+const reinstateUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const user = await findModeratableUser(req.user, userId);
+
+  // Only admins can lift a ban
+  if (user.status === "banned" && !req.user.hasPermission("users:ban")) {
+    throw new ApiError(403, "You don't have permission to lift a ban");
+  }
+
+  user.status = "active";
+  user.suspendedUntil = undefined;
+  user.statusReason = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { status: user.status }, "User reinstated"));
+});
+
+/**
+ * Changes the role of a user. Admin only.
+ * @param {Object} req - Express request object with userId param and role in the body.
+ * @param {Object} res - Express response object.
+ */
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  if (req.user._id.equals(userId)) {
+    throw new ApiError(403, "You can't change your own role");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { role } },
+    { new: true }
+  ).select(ADMIN_USER_FIELDS);
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User role updated successfully"));
+});
+
+/**
+ * Unpublishes any video and stops its owner from publishing it again.
+ * @param {Object} req - Express request object with videoId param and reason in the body.
+ * @param {Object} res - Express response object.
+ */
+const forceUnpublishVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { reason } = req.body;
+
+  const video = await Video.findByIdAndUpdate(
+    videoId,
+    { $set: { isPublished: false, isBlocked: true, blockReason: reason } },
+    { new: true }
+  );
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video unpublished by moderator"));
+});
+
+/**
+ * Lets the owner publish a force-unpublished video again.
+ * The video stays unpublished until the owner publishes it.
+ * @param {Object} req - Express request object with videoId param.
+ * @param {Object} res - Express response object.
+ */
+const unblockVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await Video.findByIdAndUpdate(
+    videoId,
+    { $set: { isBlocked: false }, $unset: { blockReason: 1 } },
+    { new: true }
+  );
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video unblocked successfully"));
+});
+
+export {
+  getUsers,
+  suspendUser,
+  banUser,
+  reinstateUser,
+  updateUserRole,
+  forceUnpublishVideo,
+  unblockVideo,
+};
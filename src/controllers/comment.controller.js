@@ -0,0 +1,265 @@
+// Import utility functions and necessary models
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { Comment } from "../models/comment.model.js"; // Comment model for MongoDB queries
+import { Video } from "../models/vedio.models.js"; // Video model for MongoDB queries
+import { Post } from "../models/post.model.js"; // Post model for MongoDB queries
+import { getPaginationOptions } from "../utils/pagination.js";
+import { reactionStages } from "../utils/reactions.js";
+import { notify } from "../utils/notifications.js";
+import { removeComment } from "../utils/contentRemoval.js";
+
+// Placeholder shown instead of the content of a deleted comment
+const DELETED_COMMENT_CONTENT = "[deleted]";
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1, _id: -1 },
+  replies: { replyCount: -1, createdAt: -1, _id: -1 },
+};
+
+/**
+ * Find a video comments can be read or written on.
+ * Unpublished videos are only available to their owner.
+ * @param {String} videoId - The ID of the video.
+ * @param {Object} user - The current user, if any.
+ * @returns {Object} - The video document.
+ */
+const findCommentableVideo = async (videoId, user) => {
+  const video = await Video.findById(videoId).select("owner isPublished");
+  if (!video || (!video.isPublished && !video.owner?.equals(user?._id))) {
+    throw new ApiError(404, "Video not found");
+  }
+  return video;
+};
+
+/**
+ * Find a community post comments can be read or written on.
+ * @param {String} postId - The ID of the post.
+ * @returns {Object} - The post document.
+ */
+const findCommentablePost = async (postId) => {
+  const post = await Post.findById(postId).select("owner");
+  if (!post) {
+    throw new ApiError(404, "Post not found");
+  }
+  return post;
+};
+
+/**
+ * Paginated comments of a video or post, with author info and reactions.
+ * Top-level comments by default, or the direct replies of parentId.
+ * @param {Object} target - { video } or { post } the comments belong to.
+ * @param {Object} req - Express request object with page, limit, sortBy and parentId query params.
+ * @returns {Object} - aggregatePaginate result.
+ */
+const listComments = (target, req) => {
+  const { sortBy = "newest", parentId } = req.query;
+  const [field, id] = Object.entries(target)[0];
+
+  const aggregate = Comment.aggregate([
+    {
+      $match: {
+        [field]: new mongoose.Types.ObjectId(id),
+        parent: parentId ? new mongoose.Types.ObjectId(parentId) : null,
+      },
+    },
+    { $sort: SORT_OPTIONS[sortBy] },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [{ $project: { username: 1, fullname: 1, avatar: 1 } }],
+      },
+    },
+    {
+      $addFields: {
+        owner: {
+          $cond: ["$isDeleted", null, { $first: "$owner" }],
+        },
+        content: {
+          $cond: ["$isDeleted", DELETED_COMMENT_CONTENT, "$content"],
+        },
+      },
+    },
+    ...reactionStages("Comment", req.user?._id),
+  ]);
+
+  return Comment.aggregatePaginate(aggregate, getPaginationOptions(req.query));
+};
+
+/**
+ * Create a comment, or a reply when parentId is given, on a video or post.
+ * The author of the parent comment is notified about replies.
+ * @param {Object} target - { video } or { post } the comment belongs to.
+ * @param {Object} req - Express request object with content/parentId in the body.
+ * @returns {Object} - The created comment.
+ */
+const createComment = async (target, req) => {
+  const { content, parentId } = req.body;
+
+  let parent;
+  if (parentId) {
+    parent = await Comment.findOne({ _id: parentId, ...target });
+    if (!parent) {
+      throw new ApiError(404, "Parent comment not found");
+    }
+  }
+
+  const comment = await Comment.create({
+    content,
+    ...target,
+    owner: req.user._id,
+    parent: parentId || null,
+  });
+
+  if (parent) {
+    await Comment.updateOne({ _id: parentId }, { $inc: { replyCount: 1 } });
+    // Deleted comments have no author to notify
+    if (!parent.isDeleted) {
+      await notify({
+        recipient: parent.owner,
+        actor: req.user._id,
+        type: "comment-reply",
+        comment: comment._id,
+        ...target,
+      });
+    }
+  }
+
+  return comment;
+};
+
+/**
+ * Lists comments on a video with pagination.
+ * @param {Object} req - Express request object with videoId param and page, limit, sortBy and parentId query params.
+ * @param {Object} res - Express response object.
+ */
+const getVideoComments = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  await findCommentableVideo(videoId, req.user);
+  const comments = await listComments({ video: videoId }, req);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comments, "Comments fetched successfully"));
+});
+
+/**
+ * Adds a comment to a video, or a reply when parentId is given.
+ * @param {Object} req - Express request object with videoId param and content/parentId in the body.
+ * @param {Object} res - Express response object.
+ */
+const addComment = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  await findCommentableVideo(videoId, req.user);
+  const comment = await createComment({ video: videoId }, req);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, comment, "Comment added successfully"));
+});
+
+/**
+ * Lists comments on a community post with pagination.
+ * @param {Object} req - Express request object with postId param and page, limit, sortBy and parentId query params.
+ * @param {Object} res - Express response object.
+ */
+const getPostComments = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+
+  await findCommentablePost(postId);
+  const comments = await listComments({ post: postId }, req);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comments, "Comments fetched successfully"));
+});
+
+/**
+ * Adds a comment to a community post, or a reply when parentId is given.
+ * @param {Object} req - Express request object with postId param and content/parentId in the body.
+ * @param {Object} res - Express response object.
+ */
+const addPostComment = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+
+  await findCommentablePost(postId);
+  const comment = await createComment({ post: postId }, req);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, comment, "Comment added successfully"));
+});
+
+/**
+ * Edits a comment. Owner only.
+ * @param {Object} req - Express request object with commentId param and content in the body.
+ * @param {Object} res - Express response object.
+ */
+const updateComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { content } = req.body;
+
+  const comment = await Comment.findOne({ _id: commentId, isDeleted: false });
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  if (!comment.owner.equals(req.user._id)) {
+    throw new ApiError(403, "You are not allowed to edit this comment");
+  }
+
+  comment.content = content;
+  await comment.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comment, "Comment updated successfully"));
+});
+
+/**
+ * Deletes a comment. Allowed for the comment owner and the owner of the video or post.
+ * Comments with replies are replaced by a placeholder so the thread stays readable,
+ * placeholders go away with their last reply.
+ * @param {Object} req - Express request object with commentId param.
+ * @param {Object} res - Express response object.
+ */
+const deleteComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await Comment.findOne({ _id: commentId, isDeleted: false });
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  const isCommentOwner = comment.owner.equals(req.user._id);
+  const isContentOwner =
+    !isCommentOwner &&
+    (comment.video
+      ? await Video.exists({ _id: comment.video, owner: req.user._id })
+      : await Post.exists({ _id: comment.post, owner: req.user._id }));
+  if (!isCommentOwner && !isContentOwner) {
+    throw new ApiError(403, "You are not allowed to delete this comment");
+  }
+
+  await removeComment(comment);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Comment deleted successfully"));
+});
+
+export {
+  getVideoComments,
+  addComment,
+  getPostComments,
+  addPostComment,
+  updateComment,
+  deleteComment,
+};
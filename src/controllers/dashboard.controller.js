@@ -0,0 +1,300 @@
+// Import utility functions and necessary models
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { Video } from "../models/vedio.models.js"; // Video model for MongoDB queries
+import { Subscription } from "../models/subscription.model.js"; // Subscription model for MongoDB queries
+import { Like } from "../models/like.model.js"; // Like model for MongoDB queries
+import { Comment } from "../models/comment.model.js"; // Comment model for MongoDB queries
+import { ViewEvent } from "../models/viewEvent.model.js"; // View events for channel analytics
+import { getPaginationOptions } from "../utils/pagination.js";
+import { reactionStages } from "../utils/reactions.js";
+import { toCsv } from "../utils/csv.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default time series range when "from" isn't given
+const DEFAULT_RANGE_DAYS = 30;
+
+// Keeps the time series response to a sensible size
+const MAX_BUCKETS = 400;
+
+const VIDEO_SORT_FIELDS = {
+  createdAt: "createdAt",
+  views: "views",
+  likes: "likesCount",
+  comments: "commentsCount",
+};
+
+// Columns of the per-video CSV export
+const VIDEO_CSV_COLUMNS = [
+  { key: "_id", header: "Video ID" },
+  { key: "title", header: "Title" },
+  { key: "createdAt", header: "Uploaded At" },
+  { key: "isPublished", header: "Published" },
+  { key: "duration", header: "Duration (s)" },
+  { key: "views", header: "Views" },
+  { key: "likesCount", header: "Likes" },
+  { key: "dislikesCount", header: "Dislikes" },
+  { key: "commentsCount", header: "Comments" },
+];
+
+/**
+ * Start of the UTC day, ISO week (Monday) or month a date falls in.
+ * Matches what $dateTrunc returns for the same interval.
+ * @param {Date} date - Any date.
+ * @param {String} interval - "day", "week" or "month".
+ * @returns {Date} - The start of the bucket.
+ */
+const bucketStart = (date, interval) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  if (interval === "month") return new Date(Date.UTC(year, month, 1));
+
+  const day = new Date(Date.UTC(year, month, date.getUTCDate()));
+  if (interval === "week") {
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  }
+  return day;
+};
+
+const nextBucket = (date, interval) => {
+  const next = new Date(date);
+  if (interval === "month") next.setUTCMonth(next.getUTCMonth() + 1);
+  else next.setUTCDate(next.getUTCDate() + (interval === "week" ? 7 : 1));
+  return next;
+};
+
+// A "to" without a time means the whole of that day is included
+const parseRangeEnd = (value) => {
+  const date = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setTime(date.getTime() + DAY_MS - 1);
+  }
+  return date;
+};
+
+/**
+ * Count documents per bucket, filling empty buckets with zero.
+ * @param {Object} model - Mongoose model with a createdAt field.
+ * @param {Object} match - Filter for the counted documents.
+ * @param {Object} range - { from, to, interval }.
+ * @returns {Array} - [{ date, count }] in chronological order.
+ */
+const countByBucket = async (model, match, { from, to, interval }) => {
+  const counts = await model.aggregate([
+    { $match: { ...match, createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: "$createdAt",
+            unit: interval,
+            startOfWeek: "monday",
+            timezone: "UTC",
+          },
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const countByDate = new Map(
+    counts.map((bucket) => [bucket._id.getTime(), bucket.count])
+  );
+
+  const series = [];
+  for (
+    let date = bucketStart(from, interval);
+    date <= to;
+    date = nextBucket(date, interval)
+  ) {
+    series.push({ date, count: countByDate.get(date.getTime()) ?? 0 });
+  }
+  return series;
+};
+
+/**
+ * Stages that add likes, dislikes and comment counts to a channel's videos.
+ * @param {ObjectId} channelId - The owner of the videos.
+ * @returns {Array} - Aggregation stages.
+ */
+const videoStatsStages = (channelId) => [
+  { $match: { owner: channelId } },
+  ...reactionStages("Video"),
+  {
+    $lookup: {
+      from: "comments",
+      localField: "_id",
+      foreignField: "video",
+      as: "comments",
+      pipeline: [{ $match: { isDeleted: false } }, { $count: "count" }],
+    },
+  },
+  {
+    $project: {
+      title: 1,
+      thumbnail: 1,
+      duration: 1,
+      views: 1,
+      isPublished: 1,
+      isBlocked: 1,
+      createdAt: 1,
+      likesCount: 1,
+      dislikesCount: 1,
+      commentsCount: { $ifNull: [{ $first: "$comments.count" }, 0] },
+    },
+  },
+];
+
+const videoStatsSort = ({ sortBy = "createdAt", sortType = "desc" }) => ({
+  [VIDEO_SORT_FIELDS[sortBy]]: sortType === "asc" ? 1 : -1,
+  _id: -1,
+});
+
+/**
+ * Channel totals for the current user: videos, views, subscribers, likes and comments.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const getChannelStats = asyncHandler(async (req, res) => {
+  const channelId = req.user._id;
+
+  const [videoTotals] = await Video.aggregate([
+    { $match: { owner: channelId } },
+    {
+      $group: {
+        _id: null,
+        totalVideos: { $sum: 1 },
+        publishedVideos: { $sum: { $cond: ["$isPublished", 1, 0] } },
+        totalViews: { $sum: "$views" },
+        videoIds: { $push: "$_id" },
+      },
+    },
+  ]);
+  const videoIds = videoTotals?.videoIds ?? [];
+
+  const [totalSubscribers, totalLikes, totalComments] = await Promise.all([
+    Subscription.countDocuments({ channel: channelId }),
+    Like.countDocuments({
+      targetType: "Video",
+      target: { $in: videoIds },
+      type: "like",
+    }),
+    Comment.countDocuments({ video: { $in: videoIds }, isDeleted: false }),
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        totalVideos: videoTotals?.totalVideos ?? 0,
+        publishedVideos: videoTotals?.publishedVideos ?? 0,
+        totalViews: videoTotals?.totalViews ?? 0,
+        totalSubscribers,
+        totalLikes,
+        totalComments,
+      },
+      "Channel stats fetched successfully"
+    )
+  );
+});
+
+/**
+ * Lists the current user's videos with views, reactions and comment counts.
+ * @param {Object} req - Express request object with page, limit, sortBy and sortType query params.
+ * @param {Object} res - Express response object.
+ */
+const getChannelVideoStats = asyncHandler(async (req, res) => {
+  const aggregate = Video.aggregate([
+    ...videoStatsStages(req.user._id),
+    { $sort: videoStatsSort(req.query) },
+  ]);
+
+  const videos = await Video.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Video stats fetched successfully"));
+});
+
+/**
+ * Exports the per-video stats of the current user's channel as CSV.
+ * @param {Object} req - Express request object with sortBy and sortType query params.
+ * @param {Object} res - Express response object.
+ */
+const exportChannelVideoStats = asyncHandler(async (req, res) => {
+  const videos = await Video.aggregate([
+    ...videoStatsStages(req.user._id),
+    { $sort: videoStatsSort(req.query) },
+  ]);
+
+  const date = new Date().toISOString().slice(0, 10);
+
+  return res
+    .status(200)
+    .set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${req.user.username}-videos-${date}.csv"`,
+    })
+    .send(toCsv(videos, VIDEO_CSV_COLUMNS));
+});
+
+/**
+ * New subscribers and views of the current user's channel over time.
+ * Buckets are UTC days, ISO weeks (starting Monday) or months.
+ * @param {Object} req - Express request object with from, to and interval query params.
+ * @param {Object} res - Express response object.
+ */
+const getChannelTimeSeries = asyncHandler(async (req, res) => {
+  const { interval } = req.query;
+  const to = req.query.to ? parseRangeEnd(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (from > to) {
+    throw new ApiError(400, "from must be before to");
+  }
+
+  let buckets = 0;
+  for (
+    let date = bucketStart(from, interval);
+    date <= to && buckets <= MAX_BUCKETS;
+    date = nextBucket(date, interval)
+  ) {
+    buckets += 1;
+  }
+  if (buckets > MAX_BUCKETS) {
+    throw new ApiError(
+      400,
+      `Range is too large, use a longer interval (max ${MAX_BUCKETS} points)`
+    );
+  }
+
+  const range = { from, to, interval };
+  const [subscribers, views] = await Promise.all([
+    countByBucket(Subscription, { channel: req.user._id }, range),
+    countByBucket(ViewEvent, { channel: req.user._id }, range),
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { interval, from, to, subscribers, views },
+        "Channel analytics fetched successfully"
+      )
+    );
+});
+
+export {
+  getChannelStats,
+  getChannelVideoStats,
+  exportChannelVideoStats,
+  getChannelTimeSeries,
+};
@@ -0,0 +1,91 @@
+// Import utility functions and necessary models
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { Video } from "../models/vedio.models.js"; // Video model for MongoDB queries
+import { Subscription } from "../models/subscription.model.js"; // Subscription model for MongoDB queries
+import { cursorFilter, decodeCursor, encodeCursor } from "../utils/cursor.js";
+
+/**
+ * Latest published videos from the channels the current user subscribes to.
+ *
+ * Pages are addressed by cursor rather than page number so new uploads don't
+ * shift items between pages:
+ * - no cursor: the newest videos
+ * - cursor: the videos older than the cursor (next page)
+ * - since: only the videos newer than the cursor, e.g. the client's latestCursor.
+ *   Up to limit of the oldest new items are returned; hasMore means there are
+ *   even newer ones to fetch with the returned latestCursor.
+ *
+ * Videos are always returned newest first.
+ * @param {Object} req - Express request object with cursor, since and limit query params.
+ * @param {Object} res - Express response object.
+ */
+const getSubscriptionsFeed = asyncHandler(async (req, res) => {
+  const { cursor, since, limit } = req.query;
+
+  const channelIds = await Subscription.find({
+    subscriber: req.user._id,
+  }).distinct("channel");
+
+  const match = { owner: { $in: channelIds }, isPublished: true };
+  if (since) Object.assign(match, cursorFilter(decodeCursor(since), true));
+  else if (cursor) Object.assign(match, cursorFilter(decodeCursor(cursor)));
+
+  const order = since ? 1 : -1;
+  const videos = channelIds.length
+    ? await Video.aggregate([
+        { $match: match },
+        { $sort: { createdAt: order, _id: order } },
+        { $limit: limit + 1 },
+        {
+          $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [{ $project: { username: 1, fullname: 1, avatar: 1 } }],
+          },
+        },
+        {
+          $project: {
+            title: 1,
+            thumbnail: 1,
+            duration: 1,
+            views: 1,
+            createdAt: 1,
+            owner: { $first: "$owner" },
+          },
+        },
+      ])
+    : [];
+
+  const hasMore = videos.length > limit;
+  if (hasMore) videos.pop();
+  if (since) videos.reverse();
+
+  const newest = videos[0];
+  const oldest = videos[videos.length - 1];
+
+  // Older pages don't move the client's "latest seen" position
+  let latestCursor = null;
+  if (!cursor || since) {
+    latestCursor = newest ? encodeCursor(newest) : since || null;
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        videos,
+        hasMore,
+        // pass as cursor to load older videos
+        nextCursor: !since && hasMore ? encodeCursor(oldest) : null,
+        // pass as since to poll for newer videos
+        latestCursor,
+      },
+      "Feed fetched successfully"
+    )
+  );
+});
+
+export { getSubscriptionsFeed };
@@ -0,0 +1,85 @@
+// Import utility functions
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { checkStorage } from "../utils/storage/index.js";
+import { isShuttingDown } from "../utils/shutdown.js";
+
+// Storage checks can hit a rate-limited API, so the result is reused for a while
+const STORAGE_CHECK_TTL_MS = 30 * 1000;
+
+// A probe must answer quickly even when a dependency hangs
+const CHECK_TIMEOUT_MS = 3000;
+
+let storageCheck = { ok: false, checkedAt: 0 };
+
+const withTimeout = (promise) =>
+  Promise.race([
+    promise,
+    new Promise((resolve) =>
+      setTimeout(() => resolve(false), CHECK_TIMEOUT_MS).unref()
+    ),
+  ]);
+
+const checkDatabase = async () => {
+  if (mongoose.connection.readyState !== 1) return false;
+  try {
+    await mongoose.connection.db.admin().ping();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const checkStorageCached = async () => {
+  if (Date.now() - storageCheck.checkedAt > STORAGE_CHECK_TTL_MS) {
+    storageCheck = { ok: await checkStorage(), checkedAt: Date.now() };
+  }
+  return storageCheck.ok;
+};
+
+/**
+ * Liveness probe: the process is up and serving requests.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const getHealth = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { status: "ok", uptime: Math.round(process.uptime()) },
+        "Service is alive"
+      )
+    );
+});
+
+/**
+ * Readiness probe: MongoDB is connected and the storage backend is usable.
+ * Responds with 503 when a check fails or while shutting down, so load
+ * balancers stop sending traffic.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const getReadiness = asyncHandler(async (req, res) => {
+  const [database, storage] = await Promise.all([
+    withTimeout(checkDatabase()),
+    withTimeout(checkStorageCached()),
+  ]);
+  const checks = { database, storage, shuttingDown: isShuttingDown() };
+  const ready = database && storage && !checks.shuttingDown;
+  const statusCode = ready ? 200 : 503;
+
+  return res
+    .status(statusCode)
+    .json(
+      new ApiResponse(
+        statusCode,
+        { status: ready ? "ready" : "unavailable", checks },
+        ready ? "Service is ready" : "Service is not ready"
+      )
+    );
+});
+
+export { getHealth, getReadiness };
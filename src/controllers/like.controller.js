@@ -0,0 +1,199 @@
+// Import utility functions and necessary models
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { Like } from "../models/like.model.js"; // Like model for MongoDB queries
+import { Video } from "../models/vedio.models.js"; // Video model for MongoDB queries
+import { Comment } from "../models/comment.model.js"; // Comment model for MongoDB queries
+import { Post } from "../models/post.model.js"; // Post model for MongoDB queries
+import { getPaginationOptions } from "../utils/pagination.js";
+import { notify } from "../utils/notifications.js";
+
+/**
+ * Set the user's reaction on a target. Setting the same reaction twice is a no-op.
+ * @param {Object} user - The authenticated user (req.user).
+ * @param {String} targetType - Like targetType: "Video", "Comment" or "Post".
+ * @param {String} targetId - The ID of the liked document.
+ * @param {String} reaction - "like", "dislike" or "none" to clear it.
+ * @param {Object} notification - Owner of the target (recipient) and related ids, notified about new likes.
+ * @returns {Object} - likesCount, dislikesCount and viewerReaction of the target.
+ */
+const applyReaction = async (
+  user,
+  targetType,
+  targetId,
+  reaction,
+  notification
+) => {
+  const filter = { user: user._id, targetType, target: targetId };
+
+  if (reaction === "none") {
+    await Like.deleteOne(filter);
+  } else {
+    const result = await Like.updateOne(
+      filter,
+      { $set: { type: reaction }, $setOnInsert: filter },
+      { upsert: true }
+    ).catch((error) => {
+      // A parallel request inserted the same pair first; retry as an update
+      if (error?.code !== 11000) throw error;
+      return Like.updateOne(filter, { $set: { type: reaction } });
+    });
+
+    // Only the first like is worth a notification, not every like/dislike toggle
+    const isNewLike = reaction === "like" && result.upsertedCount > 0;
+    if (isNewLike) {
+      await notify({ ...notification, actor: user._id, type: "like" });
+    }
+  }
+
+  const [counts] = await Like.aggregate([
+    {
+      $match: { targetType, target: new mongoose.Types.ObjectId(targetId) },
+    },
+    {
+      $group: {
+        _id: null,
+        likesCount: { $sum: { $cond: [{ $eq: ["$type", "like"] }, 1, 0] } },
+        dislikesCount: {
+          $sum: { $cond: [{ $eq: ["$type", "dislike"] }, 1, 0] },
+        },
+      },
+    },
+  ]);
+
+  return {
+    likesCount: counts?.likesCount ?? 0,
+    dislikesCount: counts?.dislikesCount ?? 0,
+    viewerReaction: reaction === "none" ? null : reaction,
+  };
+};
+
+/**
+ * Likes, dislikes or clears the reaction on a video.
+ * @param {Object} req - Express request object with videoId param and reaction in the body.
+ * @param {Object} res - Express response object.
+ */
+const reactToVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { reaction } = req.body;
+
+  const video = await Video.findById(videoId).select("owner isPublished");
+  if (!video || (!video.isPublished && !video.owner?.equals(req.user._id))) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const counts = await applyReaction(req.user, "Video", videoId, reaction, {
+    recipient: video.owner,
+    video: video._id,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, counts, "Reaction updated successfully"));
+});
+
+/**
+ * Likes, dislikes or clears the reaction on a comment.
+ * @param {Object} req - Express request object with commentId param and reaction in the body.
+ * @param {Object} res - Express response object.
+ */
+const reactToComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { reaction } = req.body;
+
+  const comment = await Comment.findOne({
+    _id: commentId,
+    isDeleted: false,
+  }).select("owner video post");
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  const counts = await applyReaction(req.user, "Comment", commentId, reaction, {
+    recipient: comment.owner,
+    comment: comment._id,
+    video: comment.video,
+    post: comment.post,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, counts, "Reaction updated successfully"));
+});
+
+/**
+ * Likes, dislikes or clears the reaction on a community post.
+ * @param {Object} req - Express request object with postId param and reaction in the body.
+ * @param {Object} res - Express response object.
+ */
+const reactToPost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const { reaction } = req.body;
+
+  const post = await Post.findById(postId).select("owner");
+  if (!post) {
+    throw new ApiError(404, "Post not found");
+  }
+
+  const counts = await applyReaction(req.user, "Post", postId, reaction, {
+    recipient: post.owner,
+    post: post._id,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, counts, "Reaction updated successfully"));
+});
+
+/**
+ * Lists the published videos the current user liked, most recently liked first.
+ * @param {Object} req - Express request object with page and limit query params.
+ * @param {Object} res - Express response object.
+ */
+const getLikedVideos = asyncHandler(async (req, res) => {
+  // Start from the likes so the sort and paging happen in MongoDB
+  const aggregate = Like.aggregate([
+    { $match: { user: req.user._id, targetType: "Video", type: "like" } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "target",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          { $match: { isPublished: true } },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [{ $project: { username: 1, fullname: 1, avatar: 1 } }],
+            },
+          },
+          { $addFields: { owner: { $first: "$owner" } } },
+        ],
+      },
+    },
+    { $unwind: "$video" }, // drops likes of deleted or unpublished videos
+    {
+      $replaceRoot: {
+        newRoot: { $mergeObjects: ["$video", { likedAt: "$createdAt" }] },
+      },
+    },
+  ]);
+
+  const videos = await Like.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Liked videos fetched successfully"));
+});
+
+export { reactToVideo, reactToComment, reactToPost, getLikedVideos };
@@ -0,0 +1,35 @@
+// Import utility functions
+import crypto from "crypto";
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
+import { renderMetrics } from "../utils/metrics.js";
+
+// Constant-time comparison so the token can't be guessed byte by byte
+const isMetricsTokenValid = (req, token) => {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const received = Buffer.from(req.get("authorization") || "");
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+/**
+ * Serves request, upload and database metrics in the Prometheus text format.
+ * When METRICS_TOKEN is set, scrapers must send it as a Bearer token.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const getMetrics = asyncHandler(async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !isMetricsTokenValid(req, token)) {
+    throw new ApiError(401, "Unauthorized request");
+  }
+
+  return res
+    .status(200)
+    .set("Content-Type", "text/plain; version=0.0.4; charset=utf-8")
+    .send(renderMetrics());
+});
+
+export { getMetrics };
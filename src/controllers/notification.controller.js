@@ -0,0 +1,199 @@
+// Import utility functions and necessary models
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { Notification } from "../models/notification.model.js"; // Notification model for MongoDB queries
+import { getPaginationOptions } from "../utils/pagination.js";
+import { onNotification } from "../utils/notifications.js";
+import { isSessionActive } from "../utils/session.js";
+import { logger } from "../utils/logger.js";
+import { onShutdown } from "../utils/shutdown.js";
+
+// Comment lines keep proxies from closing idle streams; the session is
+// re-checked at the same time so revoked logins stop receiving events
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Public actor fields and the video a notification points to
+const notificationLookups = [
+  {
+    $lookup: {
+      from: "users",
+      localField: "actor",
+      foreignField: "_id",
+      as: "actor",
+      pipeline: [{ $project: { username: 1, fullname: 1, avatar: 1 } }],
+    },
+  },
+  {
+    $lookup: {
+      from: "videos",
+      localField: "video",
+      foreignField: "_id",
+      as: "video",
+      pipeline: [{ $project: { title: 1, thumbnail: 1 } }],
+    },
+  },
+  {
+    $addFields: {
+      actor: { $first: "$actor" },
+      video: { $first: "$video" },
+    },
+  },
+];
+
+/**
+ * Lists the current user's notifications, newest first.
+ * @param {Object} req - Express request object with unreadOnly, page and limit query params.
+ * @param {Object} res - Express response object.
+ */
+const getNotifications = asyncHandler(async (req, res) => {
+  const match = { recipient: req.user._id };
+  if (req.query.unreadOnly) match.readAt = null;
+
+  const aggregate = Notification.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    ...notificationLookups,
+  ]);
+
+  const notifications = await Notification.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, notifications, "Notifications fetched successfully")
+    );
+});
+
+/**
+ * Counts the current user's unread notifications.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await Notification.countDocuments({
+    recipient: req.user._id,
+    readAt: null,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { unreadCount }, "Unread count fetched successfully")
+    );
+});
+
+/**
+ * Marks one of the current user's notifications as read.
+ * @param {Object} req - Express request object with notificationId param.
+ * @param {Object} res - Express response object.
+ */
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const { notificationId } = req.params;
+
+  const notification = await Notification.findOne({
+    _id: notificationId,
+    recipient: req.user._id,
+  });
+  if (!notification) {
+    throw new ApiError(404, "Notification not found");
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, notification, "Notification marked as read"));
+});
+
+/**
+ * Marks all of the current user's notifications as read.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user._id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { updated: result.modifiedCount },
+        "All notifications marked as read"
+      )
+    );
+});
+
+/**
+ * Server-Sent Events stream of the current user's new notifications.
+ * Each event is named "notification" and carries the notification as JSON,
+ * in the same shape as the list endpoint.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const streamNotifications = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // disable nginx response buffering
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const send = async (notification) => {
+    try {
+      const [payload] = await Notification.aggregate([
+        { $match: { _id: new mongoose.Types.ObjectId(notification._id) } },
+        ...notificationLookups,
+      ]);
+      if (payload) {
+        res.write(
+          `id: ${payload._id}\nevent: notification\ndata: ${JSON.stringify(payload)}\n\n`
+        );
+      }
+    } catch (error) {
+      logger.error("Failed to push notification", { error });
+    }
+  };
+
+  const unsubscribe = onNotification(userId, send);
+
+  const heartbeat = setInterval(async () => {
+    const active = await isSessionActive(req.sessionId, userId).catch(
+      () => true
+    );
+    if (!active) return res.end();
+    res.write(": ping\n\n");
+  }, HEARTBEAT_INTERVAL_MS);
+
+  // Clients reconnect to another instance when this one shuts down
+  const stopOnShutdown = onShutdown(() => res.end());
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    stopOnShutdown();
+  });
+});
+
+export {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  streamNotifications,
+};
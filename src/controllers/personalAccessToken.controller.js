@@ -0,0 +1,97 @@
+// Import utility functions and necessary models
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { PersonalAccessToken } from "../models/personalAccessToken.model.js"; // Personal access token model for MongoDB queries
+import { createPersonalAccessToken } from "../utils/personalAccessToken.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keeps forgotten tokens from piling up
+const MAX_TOKENS_PER_USER = 50;
+
+// Fields of a token that are safe to show after creation
+const tokenView = (token) => ({
+  _id: token._id,
+  name: token.name,
+  tokenPrefix: token.tokenPrefix,
+  scopes: token.scopes,
+  expiresAt: token.expiresAt,
+  lastUsedAt: token.lastUsedAt,
+  createdAt: token.createdAt,
+});
+
+/**
+ * Creates a personal access token for the current user.
+ * The token is only returned in this response; it is stored hashed.
+ * @param {Object} req - Express request object with name, scopes and expiresInDays in the body.
+ * @param {Object} res - Express response object.
+ */
+const createToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const tokenCount = await PersonalAccessToken.countDocuments({
+    user: req.user._id,
+  });
+  if (tokenCount >= MAX_TOKENS_PER_USER) {
+    throw new ApiError(
+      400,
+      `You can have at most ${MAX_TOKENS_PER_USER} tokens, revoke unused ones first`
+    );
+  }
+
+  const { token, record } = await createPersonalAccessToken(req.user, {
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays && new Date(Date.now() + expiresInDays * DAY_MS),
+  });
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { ...tokenView(record), token },
+        "Token created, copy it now as it won't be shown again"
+      )
+    );
+});
+
+/**
+ * Lists the current user's active personal access tokens.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const getTokens = asyncHandler(async (req, res) => {
+  const tokens = await PersonalAccessToken.find({
+    user: req.user._id,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  }).sort({ createdAt: -1 });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, tokens.map(tokenView), "Tokens fetched successfully")
+    );
+});
+
+/**
+ * Revokes one of the current user's personal access tokens.
+ * @param {Object} req - Express request object with tokenId param.
+ * @param {Object} res - Express response object.
+ */
+const revokeToken = asyncHandler(async (req, res) => {
+  const result = await PersonalAccessToken.deleteOne({
+    _id: req.params.tokenId,
+    user: req.user._id,
+  });
+  if (!result.deletedCount) {
+    throw new ApiError(404, "Token not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Token revoked successfully"));
+});
+
+export { createToken, getTokens, revokeToken };
@@ -0,0 +1,315 @@
+// Import utility functions and necessary models
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { Playlist } from "../models/playlist.model.js"; // Playlist model for MongoDB queries
+import { Video } from "../models/vedio.models.js"; // Video model for MongoDB queries
+import { User } from "../models/user.models.js"; // User model for MongoDB queries
+
+// Playlists can hold a lot of videos but not an unbounded amount
+const MAX_PLAYLIST_VIDEOS = 5000;
+
+/**
+ * Find a playlist and make sure the current user owns it.
+ * @param {String} playlistId - The ID of the playlist.
+ * @param {Object} user - The authenticated user (req.user).
+ * @returns {Object} - The playlist document.
+ */
+const findOwnedPlaylist = async (playlistId, user) => {
+  const playlist = await Playlist.findById(playlistId);
+  if (!playlist) {
+    throw new ApiError(404, "Playlist not found");
+  }
+
+  if (!playlist.owner.equals(user._id)) {
+    throw new ApiError(403, "You are not allowed to modify this playlist");
+  }
+
+  return playlist;
+};
+
+/**
+ * Match stage for the videos a viewer may see in a playlist: published ones
+ * and their own drafts. Owning the playlist does not reveal other people's drafts.
+ * @param {Object} [viewer] - The authenticated user (req.user), if any.
+ * @returns {Object} - A $match condition for the videos collection.
+ */
+const visibleVideosMatch = (viewer) =>
+  viewer
+    ? { $or: [{ isPublished: true }, { owner: viewer._id }] }
+    : { isPublished: true };
+
+/**
+ * Creates a playlist for the current user.
+ * @param {Object} req - Express request object with name, description and visibility in the body.
+ * @param {Object} res - Express response object.
+ */
+const createPlaylist = asyncHandler(async (req, res) => {
+  const { name, description, visibility } = req.body;
+
+  const playlist = await Playlist.create({
+    name,
+    description,
+    visibility,
+    owner: req.user._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, playlist, "Playlist created successfully"));
+});
+
+/**
+ * Lists a user's playlists. Owners see all of theirs, everyone else only public ones.
+ * @param {Object} req - Express request object with userId param.
+ * @param {Object} res - Express response object.
+ */
+const getUserPlaylists = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const isOwner = req.user?._id.equals(userId);
+
+  const match = { owner: new mongoose.Types.ObjectId(userId) };
+  if (!isOwner) match.visibility = "public";
+
+  const playlists = await Playlist.aggregate([
+    { $match: match },
+    { $sort: { updatedAt: -1 } },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "videos",
+        foreignField: "_id",
+        as: "visibleVideos",
+        pipeline: [
+          { $match: visibleVideosMatch(req.user) },
+          { $project: { thumbnail: 1 } },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        totalVideos: { $size: "$visibleVideos" },
+        thumbnail: { $first: "$visibleVideos.thumbnail" }, // playlist cover
+      },
+    },
+    {
+      $project: {
+        name: 1,
+        description: 1,
+        visibility: 1,
+        totalVideos: 1,
+        thumbnail: 1,
+        createdAt: 1,
+        updatedAt: 1,
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlists, "Playlists fetched successfully"));
+});
+
+/**
+ * Fetches a playlist with its videos as cards, in playlist order.
+ * Private playlists are only visible to their owner, and unpublished videos
+ * are left out unless the viewer uploaded them.
+ * @param {Object} req - Express request object with playlistId param.
+ * @param {Object} res - Express response object.
+ */
+const getPlaylistById = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  const playlist = await Playlist.findById(playlistId).lean();
+  const isOwner = playlist && req.user?._id.equals(playlist.owner);
+
+  if (!playlist || (playlist.visibility === "private" && !isOwner)) {
+    throw new ApiError(404, "Playlist not found");
+  }
+
+  const videos = await Video.aggregate([
+    {
+      $match: {
+        _id: { $in: playlist.videos },
+        ...visibleVideosMatch(req.user),
+      },
+    },
+    { $addFields: { position: { $indexOfArray: [playlist.videos, "$_id"] } } },
+    { $sort: { position: 1 } },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [{ $project: { username: 1, fullname: 1, avatar: 1 } }],
+      },
+    },
+    {
+      $project: {
+        title: 1,
+        thumbnail: 1,
+        duration: 1,
+        views: 1,
+        isPublished: 1,
+        createdAt: 1,
+        owner: { $first: "$owner" },
+      },
+    },
+  ]);
+
+  const owner = await User.findById(playlist.owner)
+    .select("username fullname avatar")
+    .lean();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...playlist, owner, videos, totalVideos: videos.length },
+        "Playlist fetched successfully"
+      )
+    );
+});
+
+/**
+ * Updates name, description and/or visibility of a playlist. Owner only.
+ * @param {Object} req - Express request object with playlistId param and fields in the body.
+ * @param {Object} res - Express response object.
+ */
+const updatePlaylist = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+  const { name, description, visibility } = req.body;
+
+  if (name === undefined && description === undefined && !visibility) {
+    throw new ApiError(400, "Nothing to update");
+  }
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+
+  if (name !== undefined) playlist.name = name;
+  if (description !== undefined) playlist.description = description;
+  if (visibility) playlist.visibility = visibility;
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Playlist updated successfully"));
+});
+
+/**
+ * Deletes a playlist. Owner only.
+ * @param {Object} req - Express request object with playlistId param.
+ * @param {Object} res - Express response object.
+ */
+const deletePlaylist = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+  await playlist.deleteOne();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Playlist deleted successfully"));
+});
+
+/**
+ * Appends a video to a playlist. Owner only.
+ * Other people's videos must be published; a video is only added once.
+ * @param {Object} req - Express request object with playlistId and videoId params.
+ * @param {Object} res - Express response object.
+ */
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+
+  const video = await Video.findById(videoId).select("owner isPublished");
+  if (!video || (!video.isPublished && !video.owner?.equals(req.user._id))) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  if (playlist.videos.some((id) => id.equals(videoId))) {
+    throw new ApiError(409, "Video is already in the playlist");
+  }
+  if (playlist.videos.length >= MAX_PLAYLIST_VIDEOS) {
+    throw new ApiError(400, "Playlist is full");
+  }
+
+  const updated = await Playlist.findOneAndUpdate(
+    { _id: playlist._id },
+    { $addToSet: { videos: video._id } },
+    { new: true }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updated, "Video added to playlist"));
+});
+
+/**
+ * Removes a video from a playlist. Owner only.
+ * @param {Object} req - Express request object with playlistId and videoId params.
+ * @param {Object} res - Express response object.
+ */
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+
+  const updated = await Playlist.findOneAndUpdate(
+    { _id: playlist._id },
+    { $pull: { videos: videoId } },
+    { new: true }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updated, "Video removed from playlist"));
+});
+
+/**
+ * Reorders the videos of a playlist. Owner only.
+ * videoIds must contain exactly the videos already in the playlist.
+ * @param {Object} req - Express request object with playlistId param and videoIds in the body.
+ * @param {Object} res - Express response object.
+ */
+const reorderPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+  const { videoIds } = req.body;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+
+  const current = playlist.videos.map(String);
+  const isSameSet =
+    videoIds.length === current.length &&
+    new Set(videoIds).size === videoIds.length &&
+    videoIds.every((id) => current.includes(id));
+
+  if (!isSameSet) {
+    throw new ApiError(
+      400,
+      "videoIds must list every video of the playlist exactly once"
+    );
+  }
+
+  playlist.videos = videoIds;
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Playlist reordered successfully"));
+});
+
+export {
+  createPlaylist,
+  getUserPlaylists,
+  getPlaylistById,
+  updatePlaylist,
+  deletePlaylist,
+  addVideoToPlaylist,
+  removeVideoFromPlaylist,
+  reorderPlaylist,
+};
@@ -0,0 +1,165 @@
+// Import utility functions and necessary models
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { Post } from "../models/post.model.js"; // Post model for MongoDB queries
+import { deleteFile, uploadFile } from "../utils/storage/index.js"; // Upload/delete files on the configured storage backend
+import { getPaginationOptions } from "../utils/pagination.js";
+import { reactionStages } from "../utils/reactions.js";
+import { removePost } from "../utils/contentRemoval.js";
+
+/**
+ * Find a post and make sure the current user owns it.
+ * @param {String} postId - The ID of the post.
+ * @param {Object} user - The authenticated user (req.user).
+ * @returns {Object} - The post document.
+ */
+const findOwnedPost = async (postId, user) => {
+  const post = await Post.findById(postId);
+  if (!post) {
+    throw new ApiError(404, "Post not found");
+  }
+
+  if (!post.owner.equals(user._id)) {
+    throw new ApiError(403, "You are not allowed to modify this post");
+  }
+
+  return post;
+};
+
+/**
+ * Creates a community post with an optional image.
+ * @param {Object} req - Express request object with content in the body and an optional image file.
+ * @param {Object} res - Express response object.
+ */
+const createPost = asyncHandler(async (req, res) => {
+  const { content } = req.body;
+  const imageLocalPath = req.file?.path;
+
+  let image;
+  if (imageLocalPath) {
+    image = await uploadFile(imageLocalPath);
+    if (!image?.url) {
+      throw new ApiError(500, "Error while uploading image");
+    }
+  }
+
+  const post = await Post.create({
+    content,
+    image: image?.url,
+    owner: req.user._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, post, "Post created successfully"));
+});
+
+/**
+ * Lists a channel's posts, newest first, with reactions and comment counts.
+ * @param {Object} req - Express request object with userId param and page/limit query.
+ * @param {Object} res - Express response object.
+ */
+const getUserPosts = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const aggregate = Post.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(userId) } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [{ $project: { username: 1, fullname: 1, avatar: 1 } }],
+      },
+    },
+    {
+      $lookup: {
+        from: "comments",
+        localField: "_id",
+        foreignField: "post",
+        as: "comments",
+        pipeline: [{ $match: { isDeleted: false } }, { $project: { _id: 1 } }],
+      },
+    },
+    {
+      $addFields: {
+        owner: { $first: "$owner" },
+        commentsCount: { $size: "$comments" },
+      },
+    },
+    { $project: { comments: 0 } },
+    ...reactionStages("Post", req.user?._id),
+  ]);
+
+  const posts = await Post.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, posts, "Posts fetched successfully"));
+});
+
+/**
+ * Edits the content of a post and optionally replaces or removes its image. Owner only.
+ * @param {Object} req - Express request object with postId param, content/removeImage in the body and an optional image file.
+ * @param {Object} res - Express response object.
+ */
+const updatePost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const { content, removeImage } = req.body;
+  const imageLocalPath = req.file?.path;
+
+  const post = await findOwnedPost(postId, req.user);
+
+  if (!content && !imageLocalPath && !removeImage) {
+    throw new ApiError(400, "Nothing to update");
+  }
+
+  const previousImage = post.image;
+  if (content) post.content = content;
+
+  if (imageLocalPath) {
+    const image = await uploadFile(imageLocalPath);
+    if (!image?.url) {
+      throw new ApiError(500, "Error while uploading image");
+    }
+    post.image = image.url;
+  } else if (removeImage) {
+    post.image = undefined;
+  }
+
+  await post.save();
+
+  // Remove the replaced image once the post is saved
+  if (previousImage && previousImage !== post.image) {
+    await deleteFile(previousImage);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, post, "Post updated successfully"));
+});
+
+/**
+ * Deletes a post with its comments, reactions, notifications and image. Owner only.
+ * @param {Object} req - Express request object with postId param.
+ * @param {Object} res - Express response object.
+ */
+const deletePost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+
+  const post = await findOwnedPost(postId, req.user);
+  await removePost(post);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Post deleted successfully"));
+});
+
+export { createPost, getUserPosts, updatePost, deletePost };
@@ -0,0 +1,129 @@
+// Import utility functions and necessary models
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { Video } from "../models/vedio.models.js"; // Video model for MongoDB queries
+import { User } from "../models/user.models.js"; // User model for MongoDB queries
+import { getPaginationOptions } from "../utils/pagination.js";
+
+// Duration buckets in seconds
+const DURATION_BUCKETS = {
+  short: { $lt: 4 * 60 },
+  medium: { $gte: 4 * 60, $lte: 20 * 60 },
+  long: { $gt: 20 * 60 },
+};
+
+const SORT_OPTIONS = {
+  relevance: { score: -1, createdAt: -1, _id: 1 },
+  date: { createdAt: -1, _id: 1 },
+  views: { views: -1, score: -1, _id: 1 },
+};
+
+/**
+ * Stages that find published videos matching the search and the filters.
+ * @param {Object} query - Validated search query params.
+ * @returns {Array} - Aggregation stages producing "video" results.
+ */
+const videoSearchStages = ({
+  q,
+  uploadedAfter,
+  uploadedBefore,
+  duration,
+  channelId,
+}) => {
+  const match = { $text: { $search: q }, isPublished: true };
+
+  if (uploadedAfter || uploadedBefore) {
+    match.createdAt = {};
+    if (uploadedAfter) match.createdAt.$gte = new Date(uploadedAfter);
+    if (uploadedBefore) match.createdAt.$lte = new Date(uploadedBefore);
+  }
+  if (duration) match.duration = DURATION_BUCKETS[duration];
+  if (channelId) match.owner = new mongoose.Types.ObjectId(channelId);
+
+  return [
+    { $match: match },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [{ $project: { username: 1, fullname: 1, avatar: 1 } }],
+      },
+    },
+    {
+      $project: {
+        type: "video",
+        score: { $meta: "textScore" },
+        title: 1,
+        description: 1,
+        thumbnail: 1,
+        duration: 1,
+        views: 1,
+        createdAt: 1,
+        owner: { $first: "$owner" },
+      },
+    },
+  ];
+};
+
+/**
+ * Stages that find channels whose username or full name match the search.
+ * @param {Object} query - Validated search query params.
+ * @returns {Array} - Aggregation stages producing "channel" results.
+ */
+const channelSearchStages = ({ q }) => [
+  { $match: { $text: { $search: q }, status: { $ne: "banned" } } },
+  {
+    $project: {
+      type: "channel",
+      score: { $meta: "textScore" },
+      username: 1,
+      fullname: 1,
+      avatar: 1,
+      views: { $literal: 0 },
+      createdAt: 1,
+    },
+  },
+];
+
+/**
+ * Searches published videos and channels with pagination.
+ * Video filters (upload date, duration, channel) leave channels out of "all" results.
+ * @param {Object} req - Express request object with q, type, sortBy, filters, page and limit query params.
+ * @param {Object} res - Express response object.
+ */
+const search = asyncHandler(async (req, res) => {
+  const { type, sortBy, uploadedAfter, uploadedBefore, duration, channelId } =
+    req.query;
+
+  const hasVideoFilters = Boolean(
+    uploadedAfter || uploadedBefore || duration || channelId
+  );
+
+  let model = Video;
+  let stages = videoSearchStages(req.query);
+  if (type === "channel") {
+    model = User;
+    stages = channelSearchStages(req.query);
+  } else if (type === "all" && !hasVideoFilters) {
+    stages.push({
+      $unionWith: {
+        coll: User.collection.name,
+        pipeline: channelSearchStages(req.query),
+      },
+    });
+  }
+
+  const results = await model.aggregatePaginate(
+    model.aggregate([...stages, { $sort: SORT_OPTIONS[sortBy] }]),
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, results, "Search results fetched successfully"));
+});
+
+export { search };
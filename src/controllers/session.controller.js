@@ -0,0 +1,86 @@
+// Import utility functions and necessary models
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { Session } from "../models/session.model.js"; // Session model for MongoDB queries
+import { revokeSessions } from "../utils/session.js";
+
+// Cookie options used when the current session is revoked
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+};
+
+/**
+ * Lists the current user's active sessions (one per device).
+ * @param {Object} req - Express request object containing the authenticated user and session.
+ * @param {Object} res - Express response object.
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  const data = sessions.map((session) => ({
+    ...session,
+    isCurrent: session._id.equals(req.sessionId),
+  }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Sessions fetched successfully"));
+});
+
+/**
+ * Revokes one of the current user's sessions.
+ * Revoking the current session also clears the auth cookies.
+ * @param {Object} req - Express request object containing sessionId param.
+ * @param {Object} res - Express response object.
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!isValidObjectId(sessionId)) {
+    throw new ApiError(400, "Invalid session id");
+  }
+
+  const revoked = await revokeSessions({ _id: sessionId, user: req.user._id });
+  if (!revoked) {
+    throw new ApiError(404, "Session not found");
+  }
+
+  if (req.sessionId && String(req.sessionId) === sessionId) {
+    res
+      .clearCookie("accessToken", cookieOptions)
+      .clearCookie("refreshToken", cookieOptions);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Session revoked successfully"));
+});
+
+/**
+ * Revokes every session of the current user, signing them out on all devices.
+ * @param {Object} req - Express request object containing the authenticated user.
+ * @param {Object} res - Express response object.
+ */
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const revoked = await revokeSessions({ user: req.user._id });
+
+  return res
+    .status(200)
+    .clearCookie("accessToken", cookieOptions)
+    .clearCookie("refreshToken", cookieOptions)
+    .json(
+      new ApiResponse(200, { revoked }, "All sessions revoked successfully")
+    );
+});
+
+export { getSessions, revokeSession, revokeAllSessions };
@@ -0,0 +1,155 @@
+// Import utility functions and necessary models
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { Subscription } from "../models/subscription.model.js"; // Subscription model for MongoDB queries
+import { User } from "../models/user.models.js"; // User model for MongoDB queries
+import { getPaginationOptions } from "../utils/pagination.js";
+import { notify } from "../utils/notifications.js";
+
+/**
+ * Build a paginated listing of users joined through the given subscription field.
+ * @param {Object} match - Filter applied to the subscriptions collection.
+ * @param {String} userField - "subscriber" or "channel", the side to return.
+ * @param {Object} query - Request query with page and limit.
+ * @returns {Object} - aggregatePaginate result.
+ */
+const listSubscriptionUsers = (match, userField, query) => {
+  const aggregate = Subscription.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $lookup: {
+        from: "users",
+        localField: userField,
+        foreignField: "_id",
+        as: userField,
+        pipeline: [{ $project: { username: 1, fullname: 1, avatar: 1 } }],
+      },
+    },
+    { $unwind: `$${userField}` },
+    { $project: { _id: 0, [userField]: 1, subscribedAt: "$createdAt" } },
+  ]);
+
+  return Subscription.aggregatePaginate(aggregate, getPaginationOptions(query));
+};
+
+/**
+ * Subscribes the current user to a channel, or unsubscribes if already subscribed.
+ * The channel is notified about new subscribers.
+ * @param {Object} req - Express request object containing channelId param.
+ * @param {Object} res - Express response object.
+ */
+const toggleSubscription = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  if (!isValidObjectId(channelId)) {
+    throw new ApiError(400, "Invalid channel id");
+  }
+
+  if (req.user._id.equals(channelId)) {
+    throw new ApiError(400, "You cannot subscribe to your own channel");
+  }
+
+  const channelExists = await User.exists({ _id: channelId });
+  if (!channelExists) {
+    throw new ApiError(404, "Channel does not exist");
+  }
+
+  const filter = { subscriber: req.user._id, channel: channelId };
+
+  // If a subscription existed, removing it is the unsubscribe
+  const removed = await Subscription.findOneAndDelete(filter);
+  if (removed) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { isSubscribed: false },
+          "Unsubscribed successfully"
+        )
+      );
+  }
+
+  // Upsert so concurrent requests can't create duplicate pairs
+  let isNewSubscription = false;
+  try {
+    const result = await Subscription.updateOne(
+      filter,
+      { $setOnInsert: filter },
+      { upsert: true }
+    );
+    isNewSubscription = result.upsertedCount > 0;
+  } catch (error) {
+    // A parallel request won the race on the unique index, which is fine
+    if (error?.code !== 11000) throw error;
+  }
+
+  if (isNewSubscription) {
+    await notify({
+      recipient: channelId,
+      actor: req.user._id,
+      type: "new-subscriber",
+    });
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { isSubscribed: true }, "Subscribed successfully")
+    );
+});
+
+/**
+ * Lists the subscribers of a channel with pagination.
+ * @param {Object} req - Express request object containing channelId param and page/limit query.
+ * @param {Object} res - Express response object.
+ */
+const getUserChannelSubscribers = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  if (!isValidObjectId(channelId)) {
+    throw new ApiError(400, "Invalid channel id");
+  }
+
+  const subscribers = await listSubscriptionUsers(
+    { channel: new mongoose.Types.ObjectId(channelId) },
+    "subscriber",
+    req.query
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, subscribers, "Subscribers fetched successfully")
+    );
+});
+
+/**
+ * Lists the channels a user is subscribed to with pagination.
+ * @param {Object} req - Express request object containing subscriberId param and page/limit query.
+ * @param {Object} res - Express response object.
+ */
+const getSubscribedChannels = asyncHandler(async (req, res) => {
+  const { subscriberId } = req.params;
+
+  if (!isValidObjectId(subscriberId)) {
+    throw new ApiError(400, "Invalid subscriber id");
+  }
+
+  const channels = await listSubscriptionUsers(
+    { subscriber: new mongoose.Types.ObjectId(subscriberId) },
+    "channel",
+    req.query
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, channels, "Subscribed channels fetched successfully")
+    );
+});
+
+export { toggleSubscription, getUserChannelSubscribers, getSubscribedChannels };
@@ -0,0 +1,125 @@
+// Import utility functions and necessary models
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { User } from "../models/user.models.js"; // User model for MongoDB queries
+import {
+  createTwoFactorSecret,
+  generateRecoveryCodes,
+  matchTwoFactorCode,
+  verifyTwoFactor,
+} from "../utils/twoFactor.js";
+
+/**
+ * Starts two-factor enrollment for the current user.
+ * Returns the secret and an otpauth:// URI (for a QR code); 2FA is only
+ * turned on once a code from the app is confirmed with enableTwoFactor.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  if (req.user.twoFactor?.enabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  const { secret, encryptedSecret, otpauthUri } = createTwoFactorSecret(
+    req.user
+  );
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { "twoFactor.pendingSecret": encryptedSecret } }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { secret, otpauthUri },
+        "Scan the code with your authenticator app, then confirm a code to enable"
+      )
+    );
+});
+
+/**
+ * Confirms enrollment with a code from the authenticator app and turns 2FA on.
+ * Responds with the recovery codes, which are only shown this once.
+ * @param {Object} req - Express request object with code in the body.
+ * @param {Object} res - Express response object.
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.pendingSecret"
+  );
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw new ApiError(400, "Start two-factor setup first");
+  }
+
+  const step = matchTwoFactorCode(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw new ApiError(400, "Invalid two-factor code");
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.secret": user.twoFactor.pendingSecret,
+        "twoFactor.recoveryCodes": hashes,
+        "twoFactor.lastUsedStep": step,
+      },
+      $unset: { "twoFactor.pendingSecret": 1 },
+    }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recoveryCodes: codes },
+        "Two-factor authentication enabled, store the recovery codes somewhere safe"
+      )
+    );
+});
+
+/**
+ * Turns 2FA off. Requires the password and a current code.
+ * @param {Object} req - Express request object with password and code in the body.
+ * @param {Object} res - Express response object.
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.secret +twoFactor.lastUsedStep"
+  );
+  if (!user.twoFactor?.enabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+
+  const isPasswordValid = await user.isPasswordCorrect(password);
+  if (!isPasswordValid || !(await verifyTwoFactor(user, { code }))) {
+    throw new ApiError(401, "Invalid password or two-factor code");
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactor: { enabled: false } } } // drops the secret and recovery codes
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Two-factor authentication disabled"));
+});
+
+export { setupTwoFactor, enableTwoFactor, disableTwoFactor };
@@ -0,0 +1,271 @@
+// Import utility functions and necessary models
+import fs from "fs/promises";
+import crypto from "crypto";
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { UploadSession } from "../models/uploadSession.model.js"; // Upload session model for MongoDB queries
+import { deleteFile, uploadFile } from "../utils/storage/index.js"; // Upload/delete files on the configured storage backend
+import {
+  extensionFor,
+  hasValidSignature,
+  isAllowedType,
+} from "../utils/fileType.js";
+import {
+  MAX_CHUNK_SIZE,
+  getMaxUploadSize,
+  tempFilePath,
+  uploadExpiry,
+} from "../utils/uploads.js";
+import { logger } from "../utils/logger.js"; // Structured JSON logs
+
+// Fields of an upload session returned to clients
+const uploadView = (session) => ({
+  _id: session._id,
+  kind: session.kind,
+  fileName: session.fileName,
+  mimeType: session.mimeType,
+  totalSize: session.totalSize,
+  receivedBytes: session.receivedBytes,
+  status: session.status,
+  url: session.url,
+  duration: session.duration,
+  expiresAt: session.expiresAt,
+  maxChunkSize: MAX_CHUNK_SIZE,
+});
+
+/**
+ * Find an upload session of the current user.
+ * @param {String} uploadId - The ID of the upload session.
+ * @param {Object} user - The authenticated user (req.user).
+ * @returns {Object} - The upload session document.
+ */
+const findOwnedUpload = async (uploadId, user) => {
+  const session = await UploadSession.findOne({
+    _id: uploadId,
+    owner: user._id,
+  });
+  if (!session) {
+    throw new ApiError(404, "Upload not found");
+  }
+  return session;
+};
+
+/**
+ * Starts a resumable upload.
+ * @param {Object} req - Express request object with kind, fileName, mimeType and totalSize in the body.
+ * @param {Object} res - Express response object.
+ */
+const createUpload = asyncHandler(async (req, res) => {
+  const { kind, fileName, mimeType, totalSize } = req.body;
+
+  if (!isAllowedType(kind, mimeType)) {
+    throw new ApiError(415, `${mimeType} is not a supported ${kind} type`);
+  }
+  const maxSize = getMaxUploadSize(kind);
+  if (totalSize > maxSize) {
+    throw new ApiError(413, `${kind} files can be at most ${maxSize} bytes`);
+  }
+
+  // Chunks are written into an empty file with a server-generated name
+  const tempFile = `${crypto.randomUUID()}.part`;
+  await fs.writeFile(tempFilePath(tempFile), "");
+
+  const session = await UploadSession.create({
+    owner: req.user._id,
+    kind,
+    fileName,
+    mimeType,
+    totalSize,
+    tempFile,
+    expiresAt: uploadExpiry(),
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, uploadView(session), "Upload created"));
+});
+
+/**
+ * Writes a chunk of an upload. The body is the raw bytes
+ * (application/octet-stream) and offset must equal the bytes received so far;
+ * on a conflict the client resumes from the returned receivedBytes.
+ * @param {Object} req - Express request object with uploadId param and offset query param.
+ * @param {Object} res - Express response object.
+ */
+const uploadChunk = asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+  const { offset } = req.query;
+  const chunk = req.body;
+
+  if (!Buffer.isBuffer(chunk) || !chunk.length) {
+    throw new ApiError(
+      400,
+      "Send the chunk as a non-empty application/octet-stream body"
+    );
+  }
+
+  const session = await findOwnedUpload(uploadId, req.user);
+  if (session.status !== "pending") {
+    throw new ApiError(409, "Upload is already complete");
+  }
+  if (offset !== session.receivedBytes) {
+    throw new ApiError(409, `Expected offset ${session.receivedBytes}`, [
+      { field: "offset", message: `offset must be ${session.receivedBytes}` },
+    ]);
+  }
+  if (offset + chunk.length > session.totalSize) {
+    throw new ApiError(400, "Chunk goes past the declared file size");
+  }
+
+  // Writing at the offset makes a retried chunk overwrite instead of append
+  const file = await fs.open(tempFilePath(session.tempFile), "r+");
+  try {
+    await file.write(chunk, 0, chunk.length, offset);
+  } finally {
+    await file.close();
+  }
+
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, receivedBytes: offset, status: "pending" },
+    {
+      $set: {
+        receivedBytes: offset + chunk.length,
+        expiresAt: uploadExpiry(),
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ApiError(409, "Another chunk was written at this offset");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, uploadView(updated), "Chunk received"));
+});
+
+/**
+ * Returns the progress of an upload, used to resume after an interruption.
+ * @param {Object} req - Express request object with uploadId param.
+ * @param {Object} res - Express response object.
+ */
+const getUploadStatus = asyncHandler(async (req, res) => {
+  const session = await findOwnedUpload(req.params.uploadId, req.user);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, uploadView(session), "Upload fetched successfully")
+    );
+});
+
+/**
+ * Finishes an upload once every byte was received: checks the file content
+ * matches its type and moves it to storage. The returned id can then be
+ * used when publishing (e.g. videoUploadId).
+ * @param {Object} req - Express request object with uploadId param.
+ * @param {Object} res - Express response object.
+ */
+const completeUpload = asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+
+  // Only one request gets to process the file
+  const session = await UploadSession.findOneAndUpdate(
+    {
+      _id: uploadId,
+      owner: req.user._id,
+      status: "pending",
+      $expr: { $eq: ["$receivedBytes", "$totalSize"] },
+    },
+    { $set: { status: "processing" } },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await findOwnedUpload(uploadId, req.user);
+    throw new ApiError(
+      409,
+      existing.status === "pending"
+        ? `Upload is incomplete, ${existing.receivedBytes} of ${existing.totalSize} bytes received`
+        : `Upload is already ${existing.status}`
+    );
+  }
+
+  const partPath = tempFilePath(session.tempFile);
+
+  // A part file that can't be read is treated like one with the wrong content
+  const isValid = await hasValidSignature(partPath, session.mimeType).catch(
+    () => false
+  );
+  if (!isValid) {
+    await fs.unlink(partPath).catch(() => {});
+    await session.deleteOne();
+    throw new ApiError(415, `File content is not ${session.mimeType}`);
+  }
+
+  // Give the assembled file a proper extension before it goes to storage.
+  // Drivers remove the file they are given, so they get a hard link and the
+  // part file stays until the transfer succeeded
+  const filePath = partPath.replace(/\.part$/, extensionFor(session.mimeType));
+
+  let stored;
+  try {
+    await fs.link(partPath, filePath);
+    stored = await uploadFile(filePath);
+  } catch (error) {
+    logger.error("Failed to store upload", { uploadId: session._id, error });
+  }
+
+  if (!stored?.url) {
+    await fs.unlink(filePath).catch(() => {});
+    // Every byte is still there, the client can simply complete again
+    await UploadSession.updateOne(
+      { _id: session._id, status: "processing" },
+      { $set: { status: "pending" } }
+    );
+    throw new ApiError(500, "File upload failed, please try again");
+  }
+
+  session.status = "completed";
+  session.url = stored.url;
+  session.duration = stored.duration;
+  session.expiresAt = uploadExpiry();
+  await session.save();
+
+  await fs.unlink(partPath).catch(() => {});
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, uploadView(session), "Upload completed"));
+});
+
+/**
+ * Cancels an upload and removes its temp file, or the stored file of a
+ * completed upload that wasn't used yet.
+ * @param {Object} req - Express request object with uploadId param.
+ * @param {Object} res - Express response object.
+ */
+const cancelUpload = asyncHandler(async (req, res) => {
+  const session = await UploadSession.findOneAndDelete({
+    _id: req.params.uploadId,
+    owner: req.user._id,
+    status: { $nin: ["processing", "claimed"] },
+  });
+  if (!session) {
+    throw new ApiError(404, "Upload not found");
+  }
+
+  await fs.unlink(tempFilePath(session.tempFile)).catch(() => {});
+  await deleteFile(session.url);
+
+  return res.status(200).json(new ApiResponse(200, {}, "Upload cancelled"));
+});
+
+export {
+  createUpload,
+  uploadChunk,
+  getUploadStatus,
+  completeUpload,
+  cancelUpload,
+};
@@ -3,25 +3,49 @@ import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async function
 import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
 import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
 import { User } from "../models/user.models.js"; // User model for MongoDB queries
-import { uploadOnCloudinary } from "../utils/cloudinary.js"; // Function to upload files to Cloudinary
+import { PersonalAccessToken } from "../models/personalAccessToken.model.js"; // Personal access tokens of the user
+import { deleteFile, uploadFile } from "../utils/storage/index.js"; // Upload/delete files on the configured storage backend
 import jwt from "jsonwebtoken";
+import bcrypt from "bcrypt";
+import mongoose from "mongoose";
+import {
+  createSession,
+  revokeSessions,
+  rotateSession,
+} from "../utils/session.js"; // Per-device sessions with refresh token rotation
+import {
+  consumeOneTimeToken,
+  issueOneTimeToken,
+  verifyOneTimeToken,
+} from "../utils/oneTimeToken.js"; // Single-use tokens for email links and login challenges
+import {
+  assertTwoFactorUnlocked,
+  verifyTwoFactor,
+} from "../utils/twoFactor.js"; // TOTP and recovery code checks
+import { cancelAccountDeletion } from "../utils/accountDeletion.js";
+import { buildClientUrl, sendMail } from "../utils/mailer/index.js"; // Sends mail through the configured transport
+import {
+  passwordResetEmail,
+  verificationEmail,
+} from "../utils/mailer/templates.js";
+import { logger } from "../utils/logger.js"; // Structured JSON logs
+// bcrypt hash of a random string, used to spend the same time on unknown users
+const DUMMY_PASSWORD_HASH =
+  "$2b$10$892Eik7HtCyDA34mLLmLgOEPYnLjFmDFI4YhO2mKjoaRH8ytmxXa.";
+
 /**
- * Generate access and refresh tokens for a user.
+ * Generate access and refresh tokens for a user on a new device session.
  * @param {String} userId - The ID of the user for whom tokens are being generated.
+ * @param {Object} req - Express request object, its user agent and ip are stored on the session.
  * @returns {Object} - Contains the accessToken and refreshToken.
  */
-const generateAccessAndRefreshToken = async (userId) => {
+const generateAccessAndRefreshToken = async (userId, req) => {
   try {
     // Fetch the user from the database using userId
     const user = await User.findById(userId);
 
-    // Generate access and refresh tokens for the user
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
-
-    // Save the refresh token to the user record
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+    // Open a session for this device and issue tokens bound to it
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     // Return both tokens
     return { accessToken, refreshToken };
@@ -34,9 +58,27 @@ const generateAccessAndRefreshToken = async (userId) => {
   }
 };
 
+/**
+ * Email a verification link to the user.
+ * Mail failures are logged, not thrown, so they never fail the calling request.
+ * @param {Object} user - The user document.
+ */
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await issueOneTimeToken(user._id, "email-verification");
+    const link = buildClientUrl("/verify-email", { token });
+    await sendMail({ to: user.email, ...verificationEmail(user, link) });
+  } catch (error) {
+    logger.error("Failed to send verification email", {
+      userId: user._id,
+      error,
+    });
+  }
+};
+
 /**
  * Registers a new user.
- * Handles file upload (avatar and cover image) to Cloudinary.
+ * Handles file upload (avatar and cover image) to storage and sends a verification email.
  * @param {Object} req - Express request object containing the new user's data and files.
  * @param {Object} res - Express response object.
  */
@@ -44,10 +86,8 @@ const registerUser = asyncHandler(async (req, res) => {
   // Destructure required fields from the request body
   const { fullname, email, username, password } = req.body;
 
-  // Check if any field is empty
-  if (
-    [fullname, email, username, password].some((field) => field?.trim() === "")
-  ) {
+  // Check if any field is missing or empty
+  if ([fullname, email, username, password].some((field) => !field?.trim())) {
     throw new ApiError(400, "All fields are required");
   }
 
@@ -61,21 +101,29 @@ const registerUser = asyncHandler(async (req, res) => {
   const avatarLocalPath = req.files?.avatar?.[0]?.path;
   const coverImageLocalPath = req.files?.coverImage?.[0]?.path;
 
-  // Upload avatar and cover image to Cloudinary (if available)
+  if (!avatarLocalPath) {
+    throw new ApiError(400, "Avatar file is required");
+  }
+
+  // Upload avatar and cover image to the storage backend (if available)
   let avatar, coverImage;
   try {
-    avatar = await uploadOnCloudinary(avatarLocalPath);
+    avatar = await uploadFile(avatarLocalPath);
     if (coverImageLocalPath) {
-      coverImage = await uploadOnCloudinary(coverImageLocalPath);
+      coverImage = await uploadFile(coverImageLocalPath);
     }
   } catch (error) {
     throw new ApiError(500, "File upload failed");
   }
 
+  if (!avatar?.url) {
+    throw new ApiError(500, "Avatar upload failed");
+  }
+
   // Create a new user in the database
   const user = await User.create({
     fullname,
-    avatar: avatar.url, // Store avatar URL from Cloudinary
+    avatar: avatar.url, // Store avatar URL from the storage backend
     coverImage: coverImage?.url || "", // If no cover image, store an empty string
     password,
     email,
@@ -91,6 +139,9 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new ApiError(500, "Something went wrong when creating user");
   }
 
+  // The account stays limited until the email address is confirmed
+  await sendVerificationEmail(createdUser);
+
   // Respond with success, sending back the user details
   return res
     .status(200)
@@ -98,39 +149,23 @@ const registerUser = asyncHandler(async (req, res) => {
 });
 
 /**
- * Logs in a user by validating credentials.
- * Generates access and refresh tokens and sets them as cookies.
- * @param {Object} req - Express request object containing login credentials (email/username, password).
+ * Open a session for the user and respond with the tokens, also set as cookies.
+ * Signing in cancels a pending account deletion.
+ * @param {String} userId - The ID of the user who signed in.
+ * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
  */
-const loginUser = asyncHandler(async (req, res) => {
-  // Destructure required fields from the request body
-  const { email, username, password } = req.body;
-
-  // Validate that either email or username is provided
-  if (!username && !email) {
-    throw new ApiError(400, "username or email is required");
-  }
-
-  // Find the user by email or username
-  const user = await User.findOne({
-    $or: [{ username }, { email }],
-  });
-
-  // If the user is not found, return an error
-  if (!user) throw new ApiError(404, "User not found");
-
-  // Check if the password is correct
-  const isPasswordValid = await user.isPasswordCorrect(password);
-  if (!isPasswordValid) throw new ApiError(404, "Password is not correct");
+const sendLoginResponse = async (userId, req, res) => {
+  const deletionCancelled = await cancelAccountDeletion(userId);
 
   // Generate access and refresh tokens for the user
   const { accessToken, refreshToken } = await generateAccessAndRefreshToken(
-    user._id
+    userId,
+    req
   );
 
   // Retrieve the logged-in user without the password and refreshToken fields
-  const loggedInUser = await User.findOne(user._id).select(
+  const loggedInUser = await User.findById(userId).select(
     "-password -refreshToken"
   );
 
@@ -153,24 +188,119 @@ const loginUser = asyncHandler(async (req, res) => {
           accessToken,
           refreshToken,
         },
-        "User logged in"
+        deletionCancelled
+          ? "User logged in, account deletion cancelled"
+          : "User logged in"
       )
     );
+};
+
+/**
+ * Logs in a user by validating credentials.
+ * Generates access and refresh tokens and sets them as cookies, or returns a
+ * two-factor challenge for users who enabled 2FA.
+ * @param {Object} req - Express request object containing login credentials (email/username, password).
+ * @param {Object} res - Express response object.
+ */
+const loginUser = asyncHandler(async (req, res) => {
+  // Destructure required fields from the request body
+  const { email, username, password } = req.body;
+
+  // Validate that either email or username is provided
+  if (!username && !email) {
+    throw new ApiError(400, "username or email is required");
+  }
+
+  // Find the user by username or email
+  const user = await User.findOne(username ? { username } : { email });
+
+  // Compare against a dummy hash for unknown users so the response time
+  // doesn't reveal whether the account exists
+  const isPasswordValid = user
+    ? await user.isPasswordCorrect(password)
+    : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+
+  // Same error for unknown users and wrong passwords
+  if (!user || !isPasswordValid) {
+    throw new ApiError(401, "Invalid credentials");
+  }
+
+  // Banned or suspended accounts can't start new sessions
+  const blockReason = user.getAccessBlockReason();
+  if (blockReason) {
+    throw new ApiError(403, blockReason);
+  }
+
+  // Enrolled users get a short-lived challenge instead of tokens, exchanged
+  // for a session in verifyTwoFactorLogin once a valid code is sent
+  if (user.twoFactor?.enabled) {
+    await assertTwoFactorUnlocked(user._id);
+    const challengeToken = await issueOneTimeToken(
+      user._id,
+      "two-factor-login"
+    );
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { twoFactorRequired: true, challengeToken },
+          "Two-factor code required"
+        )
+      );
+  }
+
+  return sendLoginResponse(user._id, req, res);
 });
 
 /**
- * Logs out a user by clearing their refresh token and cookies.
- * @param {Object} req - Express request object containing the user's ID.
+ * Second login step for users with two-factor authentication enabled.
+ * Exchanges the challenge token from loginUser and a TOTP or recovery code
+ * for the access/refresh pair.
+ * @param {Object} req - Express request object with challengeToken and code or recoveryCode in the body.
+ * @param {Object} res - Express response object.
+ */
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    throw new ApiError(400, "code or recoveryCode is required");
+  }
+
+  // Check the challenge first, it is only used up by a valid code
+  const userId = await verifyOneTimeToken(challengeToken, "two-factor-login");
+
+  const user = await User.findById(userId).select(
+    "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+  );
+  if (!user?.twoFactor?.enabled) {
+    throw new ApiError(400, "Token is no longer valid");
+  }
+
+  const isValid = await verifyTwoFactor(user, { code, recoveryCode });
+  if (!isValid) {
+    throw new ApiError(401, "Invalid two-factor code");
+  }
+
+  await consumeOneTimeToken(challengeToken, "two-factor-login");
+
+  // The account may have been blocked since the password step
+  const blockReason = user.getAccessBlockReason();
+  if (blockReason) {
+    throw new ApiError(403, blockReason);
+  }
+
+  return sendLoginResponse(user._id, req, res);
+});
+
+/**
+ * Logs out a user by revoking the current device session and clearing cookies.
+ * @param {Object} req - Express request object containing the user's ID and session ID.
  * @param {Object} res - Express response object.
  */
 const logoutUser = asyncHandler(async (req, res) => {
-  // Update the user record to remove the refresh token
-  await User.findByIdAndUpdate(req.user._id, {
-    $set: {
-      refreshToken: undefined, // Remove refresh token from the database
-    },
-    new: true,
-  });
+  // Revoke the session so its refresh token can no longer be used
+  await revokeSessions({ _id: req.sessionId, user: req.user._id }, "logout");
 
   // Cookie options to ensure httpOnly and secure settings
   const options = {
@@ -188,7 +318,7 @@ const logoutUser = asyncHandler(async (req, res) => {
 
 /**
  * Refreshes the access token using the incoming refresh token.
- * Validates the refresh token, checks its expiration, and generates new access and refresh tokens if valid.
+ * Validates the refresh token against its session and rotates it, issuing a new access and refresh token.
  * @param {Object} req - Express request object containing cookies or body with the refresh token.
  * @param {Object} res - Express response object.
  */
@@ -202,52 +332,56 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Unauthorized request"); // 401 Unauthorized
   }
 
+  let decodedToken;
   try {
     // Verify the refresh token using the secret key and decode the token
-    const decodedToken = jwt.verify(
+    decodedToken = jwt.verify(
       incomingRefreshToken,
       process.env.REFRESH_TOKEN_SECRET
     );
+  } catch (error) {
+    throw new ApiError(401, "Invalid or expired refresh token"); // 401 Unauthorized
+  }
 
-    // Find the user by the ID from the decoded token
-    const user = await User.findById(decodedToken?._id);
+  // Find the user by the ID from the decoded token
+  const user = await User.findById(decodedToken?._id);
 
-    // If no user is found, throw an error indicating the refresh token is invalid
-    if (!user) {
-      throw new ApiError(401, "Invalid refresh token"); // 401 Unauthorized
-    }
+  // If no user is found, throw an error indicating the refresh token is invalid
+  if (!user) {
+    throw new ApiError(401, "Invalid refresh token"); // 401 Unauthorized
+  }
 
-    // Check if the incoming refresh token matches the one stored in the user document
-    if (incomingRefreshToken !== user?.refreshToken) {
-      throw new ApiError(401, "Refresh token is expired or does not match"); // 401 Unauthorized
-    }
+  const blockReason = user.getAccessBlockReason();
+  if (blockReason) {
+    throw new ApiError(403, blockReason);
+  }
 
-    // Cookie options to set httpOnly and secure cookies (secure for production)
-    const options = {
-      httpOnly: true, // Prevents client-side JavaScript from accessing the cookie
-      secure: true, // Ensures cookies are sent over HTTPS only (important for production)
-    };
+  // Rotate the token pair; a token that was already rotated revokes the session
+  const { accessToken, refreshToken } = await rotateSession(
+    user,
+    decodedToken.sid,
+    incomingRefreshToken,
+    req
+  );
 
-    // Generate new access and refresh tokens for the user
-    const { accessToken, newRefreshToken } =
-      await generateAccessAndRefreshToken(user._id);
+  // Cookie options to set httpOnly and secure cookies (secure for production)
+  const options = {
+    httpOnly: true, // Prevents client-side JavaScript from accessing the cookie
+    secure: process.env.NODE_ENV === "production", // Only send cookies over HTTPS in production
+  };
 
-    // Send the new tokens as cookies and respond with the access token and refresh token
-    return res
-      .status(200)
-      .cookie("accessToken", accessToken, options) // Set new access token as a cookie
-      .cookie("refreshToken", newRefreshToken, options) // Set new refresh token as a cookie
-      .json(
-        new ApiResponse(
-          200, // HTTP status code for success
-          { accessToken, refreshToken: newRefreshToken }, // Data to send in response
-          "Access token refreshed successfully" // Message to indicate success
-        )
-      );
-  } catch (error) {
-    // Catch any errors during token verification or user lookup and throw a 401 Unauthorized error
-    throw new ApiError(401, error?.message || "Failed to refresh access token"); // 401 Unauthorized
-  }
+  // Send the new tokens as cookies and respond with the access token and refresh token
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, options) // Set new access token as a cookie
+    .cookie("refreshToken", refreshToken, options) // Set new refresh token as a cookie
+    .json(
+      new ApiResponse(
+        200, // HTTP status code for success
+        { accessToken, refreshToken }, // Data to send in response
+        "Access token refreshed successfully" // Message to indicate success
+      )
+    );
 });
 
 // Handler to change the current password of a user
@@ -266,11 +400,18 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid old password");
   }
 
-  // Set the new password
+  // Set the new password, its strength was checked by changePasswordSchema
   user.password = newPassword;
 
-  // Save the user object without running validation checks (e.g., re-validating password)
-  await user.save({ validateBeforeSave: false });
+  // Save the user object, the password is hashed by the pre-save hook
+  await user.save();
+
+  // Sign out every other device and drop the access tokens made with the old password
+  await revokeSessions(
+    { user: user._id, _id: { $ne: req.sessionId } },
+    "password-change"
+  );
+  await PersonalAccessToken.deleteMany({ user: user._id });
 
   // Return a success response indicating the password was changed
   return res
@@ -314,11 +455,11 @@ const updateAvatar = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Avatar file not found");
   }
 
-  // Upload the avatar to Cloudinary (or other cloud service)
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
+  // Upload the avatar to the configured storage backend
+  const avatar = await uploadFile(avatarLocalPath);
 
   // If there was an error during the upload (no URL returned), throw an error
-  if (!avatar.url) {
+  if (!avatar?.url) {
     throw new ApiError(400, "Error while uploading avatar");
   }
 
@@ -331,12 +472,17 @@ const updateAvatar = asyncHandler(async (req, res) => {
       },
     },
     { new: true } // Return the updated user object
-  );
+  ).select("-password -refreshToken");
+
+  // Remove the previous avatar now that the new one is saved
+  if (req.user.avatar && req.user.avatar !== avatar.url) {
+    await deleteFile(req.user.avatar);
+  }
 
   // Return a success response with the updated user object
   return res
     .status(200)
-    .json(200, user, "Avatar image is successfully updated");
+    .json(new ApiResponse(200, user, "Avatar image is successfully updated"));
 });
 
 // Handler to update the user's cover image
@@ -349,11 +495,11 @@ const updateCoverImage = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Cover image file not found");
   }
 
-  // Upload the cover image to Cloudinary (or other cloud service)
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+  // Upload the cover image to the configured storage backend
+  const coverImage = await uploadFile(coverImageLocalPath);
 
   // If there was an error during the upload (no URL returned), throw an error
-  if (!coverImage.url) {
+  if (!coverImage?.url) {
     throw new ApiError(400, "Error while uploading cover image");
   }
 
@@ -366,19 +512,352 @@ const updateCoverImage = asyncHandler(async (req, res) => {
       },
     },
     { new: true } // Return the updated user object
-  );
+  ).select("-password -refreshToken");
+
+  // Remove the previous cover image now that the new one is saved
+  if (req.user.coverImage && req.user.coverImage !== coverImage.url) {
+    await deleteFile(req.user.coverImage);
+  }
 
   // Return a success response with the updated user object
-  return res.status(200).json(200, user, "Cover image is successfully updated");
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Cover image is successfully updated"));
+});
+
+/**
+ * Fetches a channel's public profile with subscriber stats in a single aggregation.
+ * isSubscribed is only true when a logged-in viewer is subscribed to the channel.
+ * @param {Object} req - Express request object containing the channel's username param.
+ * @param {Object} res - Express response object.
+ */
+const getUserChannelProfile = asyncHandler(async (req, res) => {
+  const { username } = req.params;
+
+  if (!username?.trim()) {
+    throw new ApiError(400, "Username is missing");
+  }
+
+  // Anonymous viewers get an id that can never match a subscriber
+  const viewerId = req.user?._id || new mongoose.Types.ObjectId();
+
+  // Counts only, so a large channel never copies its subscriptions around
+  const countOf = (from, foreignField, as, match = {}) => ({
+    $lookup: {
+      from,
+      localField: "_id",
+      foreignField,
+      as,
+      pipeline: [{ $match: match }, { $count: "count" }],
+    },
+  });
+  const count = (field) => ({ $ifNull: [{ $first: `$${field}.count` }, 0] });
+
+  const channel = await User.aggregate([
+    { $match: { username: username.trim().toLowerCase() } },
+    countOf("subscriptions", "channel", "subscribers"),
+    countOf("subscriptions", "subscriber", "subscribedTo"),
+    countOf("videos", "owner", "videos", { isPublished: true }),
+    countOf("posts", "owner", "posts"),
+    // At most one row: the viewer's own subscription to the channel
+    countOf("subscriptions", "channel", "viewerSubscription", {
+      subscriber: viewerId,
+    }),
+    // Latest community posts shown on the channel page
+    {
+      $lookup: {
+        from: "posts",
+        localField: "_id",
+        foreignField: "owner",
+        as: "recentPosts",
+        pipeline: [
+          { $sort: { createdAt: -1 } },
+          { $limit: 3 },
+          { $project: { content: 1, image: 1, createdAt: 1 } },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        postsCount: count("posts"),
+        subscribersCount: count("subscribers"),
+        channelsSubscribedToCount: count("subscribedTo"),
+        videosCount: count("videos"),
+        isSubscribed: { $gt: [count("viewerSubscription"), 0] },
+      },
+    },
+    {
+      $project: {
+        fullname: 1,
+        username: 1,
+        avatar: 1,
+        coverImage: 1,
+        createdAt: 1,
+        subscribersCount: 1,
+        channelsSubscribedToCount: 1,
+        videosCount: 1,
+        postsCount: 1,
+        recentPosts: 1,
+        isSubscribed: 1,
+      },
+    },
+  ]);
+
+  if (!channel?.length) {
+    throw new ApiError(404, "Channel does not exist");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, channel[0], "Channel profile fetched successfully")
+    );
+});
+
+/**
+ * Fetches the current user's watch history, most recent first.
+ * Each entry carries the video with its owner's public profile.
+ * @param {Object} req - Express request object containing the authenticated user.
+ * @param {Object} res - Express response object.
+ */
+const getWatchHistory = asyncHandler(async (req, res) => {
+  const history = await User.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(req.user._id) } },
+    { $unwind: "$watchHistory" },
+    { $replaceRoot: { newRoot: "$watchHistory" } },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          // Videos unpublished since, unless they are the viewer's own
+          {
+            $match: {
+              $or: [{ isPublished: true }, { owner: req.user._id }],
+            },
+          },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [{ $project: { fullname: 1, username: 1, avatar: 1 } }],
+            },
+          },
+          { $addFields: { owner: { $first: "$owner" } } },
+        ],
+      },
+    },
+    // Drop entries whose video has since been deleted or hidden
+    { $unwind: "$video" },
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, history, "Watch history fetched successfully"));
+});
+
+/**
+ * Removes a single video from the current user's watch history.
+ * @param {Object} req - Express request object containing videoId param.
+ * @param {Object} res - Express response object.
+ */
+const removeFromWatchHistory = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!mongoose.isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $pull: { watchHistory: { video: videoId } } }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video removed from watch history"));
+});
+
+/**
+ * Clears the current user's entire watch history.
+ * @param {Object} req - Express request object containing the authenticated user.
+ * @param {Object} res - Express response object.
+ */
+const clearWatchHistory = asyncHandler(async (req, res) => {
+  await User.updateOne({ _id: req.user._id }, { $set: { watchHistory: [] } });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Watch history cleared"));
+});
+
+/**
+ * Pauses or resumes watch history recording for the current user.
+ * @param {Object} req - Express request object containing a boolean "paused" in the body.
+ * @param {Object} res - Express response object.
+ */
+const setWatchHistoryPaused = asyncHandler(async (req, res) => {
+  const { paused } = req.body;
+
+  if (typeof paused !== "boolean") {
+    throw new ApiError(400, "paused must be true or false");
+  }
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { isWatchHistoryPaused: paused } }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isWatchHistoryPaused: paused },
+        paused ? "Watch history paused" : "Watch history resumed"
+      )
+    );
+});
+
+/**
+ * Sends a new verification link to the current user.
+ * @param {Object} req - Express request object containing the authenticated user.
+ * @param {Object} res - Express response object.
+ */
+const requestEmailVerification = asyncHandler(async (req, res) => {
+  if (req.user.isEmailVerified) {
+    throw new ApiError(400, "Email is already verified");
+  }
+
+  await sendVerificationEmail(req.user);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Verification email sent"));
+});
+
+/**
+ * Confirms the user's email address with the token from the verification link.
+ * @param {Object} req - Express request object containing the token in the body.
+ * @param {Object} res - Express response object.
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    throw new ApiError(400, "Token is required");
+  }
+
+  const userId = await consumeOneTimeToken(token, "email-verification");
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { isEmailVerified: true } },
+    { new: true }
+  ).select("-password -refreshToken");
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Email verified successfully"));
+});
+
+/**
+ * Emails a password reset link. The response is the same whether or not the
+ * email belongs to an account, so it can't be used to find registered users.
+ * @param {Object} req - Express request object containing the email in the body.
+ * @param {Object} res - Express response object.
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email?.trim()) {
+    throw new ApiError(400, "Email is required");
+  }
+
+  const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+  if (user) {
+    try {
+      const token = await issueOneTimeToken(user._id, "password-reset");
+      const link = buildClientUrl("/reset-password", { token });
+      await sendMail({ to: user.email, ...passwordResetEmail(user, link) });
+    } catch (error) {
+      logger.error("Failed to send password reset email", {
+        userId: user._id,
+        error,
+      });
+    }
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "If an account exists for this email, a reset link has been sent"
+      )
+    );
+});
+
+/**
+ * Sets a new password using the token from the reset link.
+ * Signs the user out of every device and deletes their personal access tokens.
+ * @param {Object} req - Express request object containing token and newPassword in the body.
+ * @param {Object} res - Express response object.
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  if (!token || !newPassword) {
+    throw new ApiError(400, "Token and new password are required");
+  }
+
+  const userId = await consumeOneTimeToken(token, "password-reset");
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  user.password = newPassword;
+  // The reset link proves the user owns the email address
+  user.isEmailVerified = true;
+  await user.save({ validateBeforeSave: false });
+
+  await revokeSessions({ user: user._id }, "password-reset");
+  await PersonalAccessToken.deleteMany({ user: user._id });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Password reset successfully"));
 });
 
 export {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   logoutUser,
   refreshAccessToken,
   changeCurrentPassword,
   getCurrentUser,
   updateAvatar,
   updateCoverImage,
+  getUserChannelProfile,
+  getWatchHistory,
+  removeFromWatchHistory,
+  clearWatchHistory,
+  setWatchHistoryPaused,
+  requestEmailVerification,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
 };
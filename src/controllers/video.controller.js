@@ -0,0 +1,372 @@
+// Import utility functions and necessary models
+import crypto from "crypto";
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js"; // Wraps async functions to catch errors
+import { ApiError } from "../utils/ApiError.js"; // Custom error handling class
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom API response handler
+import { Video } from "../models/vedio.models.js"; // Video model for MongoDB queries
+import { User } from "../models/user.models.js"; // User model for MongoDB queries
+import { deleteFile, uploadFile } from "../utils/storage/index.js"; // Upload/delete files on the configured storage backend
+import { getPaginationOptions } from "../utils/pagination.js";
+import { reactionStages } from "../utils/reactions.js";
+import { ViewEvent } from "../models/viewEvent.model.js"; // View events for channel analytics
+import { notifySubscribers } from "../utils/notifications.js";
+import { claimUpload, finishUpload, releaseUpload } from "../utils/uploads.js";
+import { removeVideo } from "../utils/contentRemoval.js";
+
+// Fields that can be used to sort the video list
+const SORTABLE_FIELDS = ["createdAt", "views"];
+
+// A viewer reloading a video within this window doesn't count as a new view
+const VIEW_DEDUPE_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+// Anonymous viewers are recognised by their ip, which isn't stored as is
+const hashIp = (ip) =>
+  crypto
+    .createHash("sha256")
+    .update(ip || "")
+    .digest("hex");
+
+// Public owner fields attached to every video
+const ownerLookup = [
+  {
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [{ $project: { username: 1, fullname: 1, avatar: 1 } }],
+    },
+  },
+  { $addFields: { owner: { $first: "$owner" } } },
+];
+
+/**
+ * Find a video by id and make sure the current user owns it.
+ * @param {String} videoId - The ID of the video.
+ * @param {Object} user - The authenticated user (req.user).
+ * @returns {Object} - The video document.
+ */
+const findOwnedVideo = async (videoId, user) => {
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  if (!video.owner?.equals(user?._id)) {
+    throw new ApiError(403, "You are not allowed to modify this video");
+  }
+
+  return video;
+};
+
+/**
+ * Lists videos with pagination.
+ * Supports filtering by owner (userId) and sorting by upload date or views.
+ * Only published videos are returned, except when owners list their own videos.
+ * @param {Object} req - Express request object with page, limit, userId, sortBy and sortType query params.
+ * @param {Object} res - Express response object.
+ */
+const getAllVideos = asyncHandler(async (req, res) => {
+  const { userId, sortBy = "createdAt", sortType = "desc" } = req.query;
+
+  if (!SORTABLE_FIELDS.includes(sortBy)) {
+    throw new ApiError(400, `sortBy must be one of: ${SORTABLE_FIELDS}`);
+  }
+
+  const match = {};
+  if (userId) {
+    if (!isValidObjectId(userId)) {
+      throw new ApiError(400, "Invalid user id");
+    }
+    match.owner = new mongoose.Types.ObjectId(userId);
+  }
+
+  // Owners can see their own unpublished videos, everyone else only published ones
+  if (!(userId && req.user?._id.equals(userId))) {
+    match.isPublished = true;
+  }
+
+  const aggregate = Video.aggregate([
+    { $match: match },
+    { $sort: { [sortBy]: sortType === "asc" ? 1 : -1, _id: -1 } },
+    ...ownerLookup,
+    ...reactionStages("Video", req.user?._id),
+  ]);
+
+  const videos = await Video.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Videos fetched successfully"));
+});
+
+/**
+ * Publishes a new video.
+ * Uploads the video file and thumbnail to storage; duration comes from the upload result.
+ * Either file can instead be a completed resumable upload (videoUploadId / thumbnailUploadId).
+ * The channel's subscribers are notified in the background.
+ * @param {Object} req - Express request object containing title, description, upload ids and the videoFile/thumbnail files.
+ * @param {Object} res - Express response object.
+ */
+const publishAVideo = asyncHandler(async (req, res) => {
+  const { title, description, videoUploadId, thumbnailUploadId } = req.body;
+
+  // Check if any field is empty
+  if ([title, description].some((field) => !field?.trim())) {
+    throw new ApiError(400, "Title and description are required");
+  }
+
+  // File paths for video and thumbnail from uploaded files
+  const videoLocalPath = req.files?.videoFile?.[0]?.path;
+  const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
+
+  if (!videoLocalPath && !videoUploadId) {
+    throw new ApiError(400, "Video file is required");
+  }
+  if (!thumbnailLocalPath && !thumbnailUploadId) {
+    throw new ApiError(400, "Thumbnail is required");
+  }
+
+  // Resumable uploads are reserved before anything is stored, so a wrong id
+  // fails the request without touching the other file
+  const [videoClaim, thumbnailClaim] = await Promise.allSettled([
+    videoUploadId && claimUpload(videoUploadId, req.user, "video"),
+    thumbnailUploadId && claimUpload(thumbnailUploadId, req.user, "image"),
+  ]);
+  const claims = [videoClaim.value, thumbnailClaim.value].filter(Boolean);
+  if (videoClaim.reason || thumbnailClaim.reason) {
+    await Promise.all(claims.map(releaseUpload));
+    throw videoClaim.reason || thumbnailClaim.reason;
+  }
+
+  // Files of this multipart request are stored only for what wasn't claimed
+  const [videoResult, thumbnailResult] = await Promise.allSettled([
+    videoClaim.value || uploadFile(videoLocalPath),
+    thumbnailClaim.value || uploadFile(thumbnailLocalPath),
+  ]);
+  const videoFile = videoResult.value;
+  const thumbnail = thumbnailResult.value;
+
+  // Undo a failed publish: claimed uploads are handed back untouched and
+  // only the files stored by this request are deleted
+  const rollback = () =>
+    Promise.all([
+      ...claims.map(releaseUpload),
+      ...[videoFile, thumbnail]
+        .filter((file) => file && !claims.includes(file))
+        .map((file) => deleteFile(file.url)),
+    ]);
+
+  if (!videoFile?.url || !thumbnail?.url) {
+    await rollback();
+    throw (
+      videoResult.reason ||
+      thumbnailResult.reason ||
+      new ApiError(500, "File upload failed")
+    );
+  }
+
+  let video;
+  try {
+    video = await Video.create({
+      title,
+      description,
+      videoFile: videoFile.url,
+      thumbnail: thumbnail.url,
+      duration: videoFile.duration ?? 0, // Reported in seconds by backends that probe media
+      owner: req.user._id,
+    });
+  } catch (error) {
+    await rollback();
+    throw error;
+  }
+
+  // The claimed uploads now belong to the video
+  await Promise.all(claims.map(finishUpload));
+
+  // Let subscribers know, without waiting for the fan-out
+  notifySubscribers(req.user._id, {
+    type: "video-published",
+    video: video._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, video, "Video published successfully"));
+});
+
+/**
+ * Count a view of the video, at most once per viewer within
+ * VIEW_DEDUPE_WINDOW_MS. Logged-in viewers are told apart by their id,
+ * anonymous ones by a hash of their ip.
+ * @param {Object} video - The video, with its owner looked up.
+ * @param {Object} req - Express request object.
+ * @returns {Boolean} - Whether the view was counted.
+ */
+const countView = async (video, req) => {
+  const viewer = req.user?._id ?? null;
+  const ipHash = viewer ? null : hashIp(req.ip);
+
+  const seenRecently = await ViewEvent.exists({
+    video: video._id,
+    viewer,
+    ipHash,
+    createdAt: { $gt: new Date(Date.now() - VIEW_DEDUPE_WINDOW_MS) },
+  });
+  if (seenRecently) return false;
+
+  await ViewEvent.create({
+    video: video._id,
+    channel: video.owner._id,
+    viewer,
+    ipHash,
+  });
+  await Video.updateOne({ _id: video._id }, { $inc: { views: 1 } });
+  return true;
+};
+
+/**
+ * Fetches a single video with its owner's public profile and reaction counts, and counts a view.
+ * The video is recorded in the viewer's watch history when they are logged in.
+ * Unpublished videos are only visible to their owner.
+ * @param {Object} req - Express request object containing videoId param.
+ * @param {Object} res - Express response object.
+ */
+const getVideoById = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const [video] = await Video.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(videoId) } },
+    ...ownerLookup,
+    ...reactionStages("Video", req.user?._id),
+  ]);
+
+  // A video without an owner belongs to an account that is being deleted
+  if (!video?.owner) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const isOwner = Boolean(req.user?._id.equals(video.owner._id));
+  if (!video.isPublished && !isOwner) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  // Count the view for everyone except the owner
+  if (!isOwner && (await countView(video, req))) {
+    video.views += 1;
+  }
+
+  // Logged-in viewers get the video added to their watch history
+  if (req.user) {
+    await User.addToWatchHistory(req.user._id, video._id);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video fetched successfully"));
+});
+
+/**
+ * Updates title, description and/or thumbnail of a video. Owner only.
+ * @param {Object} req - Express request object containing videoId param, body fields and an optional thumbnail file.
+ * @param {Object} res - Express response object.
+ */
+const updateVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { title, description } = req.body;
+  const thumbnailLocalPath = req.file?.path;
+
+  const video = await findOwnedVideo(videoId, req.user);
+
+  if (!title?.trim() && !description?.trim() && !thumbnailLocalPath) {
+    throw new ApiError(400, "Nothing to update");
+  }
+
+  if (title?.trim()) video.title = title;
+  if (description?.trim()) video.description = description;
+
+  const previousThumbnail = video.thumbnail;
+  if (thumbnailLocalPath) {
+    const thumbnail = await uploadFile(thumbnailLocalPath);
+    if (!thumbnail?.url) {
+      throw new ApiError(500, "Error while uploading thumbnail");
+    }
+    video.thumbnail = thumbnail.url;
+  }
+
+  await video.save();
+
+  // Remove the replaced thumbnail once the new one is saved
+  if (previousThumbnail !== video.thumbnail) {
+    await deleteFile(previousThumbnail);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video updated successfully"));
+});
+
+/**
+ * Deletes a video, its comments, reactions, view events, notifications and stored media. Owner only.
+ * @param {Object} req - Express request object containing videoId param.
+ * @param {Object} res - Express response object.
+ */
+const deleteVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await findOwnedVideo(videoId, req.user);
+  await removeVideo(video);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video deleted successfully"));
+});
+
+/**
+ * Flips the isPublished flag of a video. Owner only.
+ * @param {Object} req - Express request object containing videoId param.
+ * @param {Object} res - Express response object.
+ */
+const togglePublishStatus = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await findOwnedVideo(videoId, req.user);
+
+  if (video.isBlocked && !video.isPublished) {
+    throw new ApiError(403, "This video was unpublished by a moderator");
+  }
+
+  video.isPublished = !video.isPublished;
+  await video.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isPublished: video.isPublished },
+        video.isPublished ? "Video published" : "Video unpublished"
+      )
+    );
+});
+
+export {
+  getAllVideos,
+  publishAVideo,
+  getVideoById,
+  updateVideo,
+  deleteVideo,
+  togglePublishStatus,
+};
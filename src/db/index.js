@@ -1,13 +1,87 @@
 import mongoose from "mongoose";
 import { DB_NAME } from "../constants.js";
+import { logger } from "../utils/logger.js";
+import { dbCommandDuration } from "../utils/metrics.js";
+import { isShuttingDown } from "../utils/shutdown.js";
 
+// Connection handshakes aren't queries, leave them out of the timings
+const IGNORED_COMMANDS = [
+  "hello",
+  "ismaster",
+  "isMaster",
+  "ping",
+  "saslStart",
+  "saslContinue",
+];
+
+// Time every command through the driver's command monitoring
+const monitorCommands = (client) => {
+  const record = (outcome) => (event) => {
+    if (IGNORED_COMMANDS.includes(event.commandName)) return;
+    dbCommandDuration.observe(
+      { command: event.commandName, outcome },
+      event.duration / 1000
+    );
+  };
+
+  client.on("commandSucceeded", record("success"));
+  client.on("commandFailed", record("failure"));
+};
+
+// Initial connection attempts, waiting twice as long after every failure
+const getConnectRetries = () =>
+  Number(process.env.MONGODB_CONNECT_RETRIES) || 5;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Once connected the driver reconnects by itself, these only report it
+const reportConnectionChanges = (connection) => {
+  connection.on("disconnected", () => {
+    if (!isShuttingDown()) logger.warn("MongoDB disconnected");
+  });
+  connection.on("reconnected", () => logger.info("MongoDB reconnected"));
+};
+
+/**
+ * Connect to MongoDB, retrying with exponential backoff.
+ * @throws {Error} - The last connection error once every attempt failed.
+ */
 const connectDB = async () => {
-  try {
-    const res = await mongoose.connect(`${process.env.MONGODB_URI}/${DB_NAME}`);
-    console.log(`\n MongoDB connected  !! DB HOST :${res.connection.host}`);
-  } catch (error) {
-    console.log(error, "DB connection error");
-    process.exit(1);
+  const attempts = getConnectRetries() + 1;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const startedAt = Date.now();
+      const res = await mongoose.connect(
+        `${process.env.MONGODB_URI}/${DB_NAME}`,
+        {
+          monitorCommands: true,
+        }
+      );
+      monitorCommands(res.connection.getClient());
+      reportConnectionChanges(res.connection);
+      logger.info("MongoDB connected", {
+        host: res.connection.host,
+        durationMs: Date.now() - startedAt,
+      });
+      return;
+    } catch (error) {
+      if (attempt >= attempts) throw error;
+
+      const delayMs = Math.min(
+        RETRY_BASE_DELAY_MS * 2 ** (attempt - 1),
+        RETRY_MAX_DELAY_MS
+      );
+      logger.warn("MongoDB connection failed, retrying", {
+        attempt,
+        attempts,
+        delayMs,
+        error,
+      });
+      await sleep(delayMs);
+    }
   }
 };
 
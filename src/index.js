@@ -1,18 +1,38 @@
 import connectDB from "./db/index.js";
 import dotenv from "dotenv";
 import { app } from "./app.js";
+import { startUploadCleanup } from "./utils/uploads.js";
+import { startAccountDeletionJob } from "./utils/accountDeletion.js";
+import { logger } from "./utils/logger.js";
+import { validateEnv } from "./utils/env.js";
+import { registerGracefulShutdown } from "./utils/shutdown.js";
 
 dotenv.config({
   path: "./.env",
 });
-const port = process.env.PORT || 8001
+
+// Fail fast with a clear message instead of on the first request
+try {
+  validateEnv();
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+
+const port = process.env.PORT || 8001;
 connectDB()
   .then(() => {
-    app.listen(port , () => {
-      console.log(`Server in running at port : ${port}`);
+    startUploadCleanup();
+    startAccountDeletionJob();
+    const server = app.listen(port, () => {
+      logger.info("Server is running", { port });
     });
+    registerGracefulShutdown(server);
   })
-  .catch((err) => console.error(err, "MongoDB connection faild!!!"));
+  .catch((error) => {
+    logger.error("MongoDB connection failed", { error });
+    process.exit(1);
+  });
 /*
 import express form "express"
 const app = express();
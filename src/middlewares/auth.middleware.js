@@ -1,6 +1,11 @@
 import { User } from "../models/user.models.js";
 import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { isSessionActive } from "../utils/session.js";
+import {
+  findPersonalAccessToken,
+  isPersonalAccessToken,
+} from "../utils/personalAccessToken.js";
 import jwt from "jsonwebtoken";
 
 const extractToken = (req) => {
@@ -10,26 +15,135 @@ const extractToken = (req) => {
   );
 };
 
+// Load an active account, throws ApiError(401/403) when it can't sign in
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select("-password -refreshToken");
+  if (!user) throw new ApiError(401, "Invalid access token");
+
+  const blockReason = user.getAccessBlockReason();
+  if (blockReason) throw new ApiError(403, blockReason);
+
+  return user;
+};
+
+// Resolve the user behind a personal access token. The route must have opted
+// in with allowAccessToken(scope) and the token must carry that scope.
+const authenticatePersonalAccessToken = async (token, allowedScope) => {
+  const accessToken = await findPersonalAccessToken(token);
+  if (!accessToken) throw new ApiError(401, "Invalid or expired token");
+
+  if (!allowedScope) {
+    throw new ApiError(
+      403,
+      "Personal access tokens can't be used for this endpoint"
+    );
+  }
+  if (!accessToken.scopes.includes(allowedScope)) {
+    throw new ApiError(403, `This token is missing the ${allowedScope} scope`);
+  }
+
+  const user = await loadUser(accessToken.user);
+  return { user, personalAccessToken: accessToken };
+};
+
+// Resolve the user behind an access token, throws ApiError(401) when invalid
+const authenticate = async (token, req) => {
+  if (isPersonalAccessToken(token)) {
+    return authenticatePersonalAccessToken(token, req.allowedTokenScope);
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+  } catch (error) {
+    throw new ApiError(401, "Invalid or expired token");
+  }
+
+  const sessionActive = await isSessionActive(
+    decodedToken?.sid,
+    decodedToken?._id
+  );
+  if (!sessionActive) throw new ApiError(401, "Session has been revoked");
+
+  const user = await loadUser(decodedToken?._id);
+  return { user, sessionId: decodedToken.sid };
+};
+
 export const verifyJWT = asyncHandler(async (req, res, next) => {
   try {
     const token = extractToken(req);
     if (!token) throw new ApiError(401, "Unauthorized request");
 
-    let decodedToken;
-    try {
-      decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-    } catch (error) {
-      throw new ApiError(401, "Invalid or expired token");
-    }
-
-    const user = await User.findById(decodedToken?._id).select(
-      "-password -refreshToken"
+    const { user, sessionId, personalAccessToken } = await authenticate(
+      token,
+      req
     );
-    if (!user) throw new ApiError(401, "Invalid access token");
 
     req.user = user;
+    req.sessionId = sessionId;
+    req.personalAccessToken = personalAccessToken;
     next();
   } catch (error) {
-    next(new ApiError(401, error?.message || "Invalid access token"));
+    next(
+      error instanceof ApiError
+        ? error
+        : new ApiError(401, error?.message || "Invalid access token")
+    );
   }
 });
+
+// Same as verifyJWT, but lets anonymous visitors through. req.user is only
+// set when a valid access token is present.
+export const optionalJWT = asyncHandler(async (req, res, next) => {
+  const token = extractToken(req);
+  if (!token) return next();
+
+  try {
+    const { user, sessionId, personalAccessToken } = await authenticate(
+      token,
+      req
+    );
+    req.user = user;
+    req.sessionId = sessionId;
+    req.personalAccessToken = personalAccessToken;
+  } catch (error) {
+    // An invalid token on a public route is treated as an anonymous visitor
+  }
+  next();
+});
+
+// Use before verifyJWT/optionalJWT to let personal access tokens with the
+// given scope through. Routes without it only accept session access tokens.
+export const allowAccessToken = (scope) => (req, res, next) => {
+  req.allowedTokenScope = scope;
+  next();
+};
+
+// Use after verifyJWT on routes that create or change content. Accounts that
+// have not confirmed their email can browse but not publish or interact.
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.isEmailVerified) {
+    return next(
+      new ApiError(403, "Please verify your email address to continue")
+    );
+  }
+  next();
+};
+
+// Use after verifyJWT. Passes when the user's role grants every listed permission.
+export const authorize =
+  (...permissions) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return next(new ApiError(401, "Unauthorized request"));
+    }
+    const allowed = permissions.every((permission) =>
+      req.user.hasPermission(permission)
+    );
+    if (!allowed) {
+      return next(
+        new ApiError(403, "You don't have permission to perform this action")
+      );
+    }
+    next();
+  };
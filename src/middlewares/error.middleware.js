@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import multer from "multer";
+import { ApiError } from "../utils/ApiError.js";
+import { logger } from "../utils/logger.js";
+
+// Convert known library errors into ApiError so they get a proper status
+const normalizeError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  // duplicate key on a unique index, e.g. username or email taken
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new ApiError(
+      409,
+      `${fields.join(", ") || "Resource"} already exists`,
+      fields.map((field) => ({ field, message: `${field} already exists` }))
+    );
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(400, `Invalid ${err.path}: ${err.value}`, [
+      { field: err.path, message: `${err.path} is invalid` },
+    ]);
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new ApiError(
+      422,
+      "Validation failed",
+      Object.values(err.errors).map((error) => ({
+        field: error.path,
+        message: error.message,
+      }))
+    );
+  }
+
+  if (err instanceof multer.MulterError) {
+    const statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+    return new ApiError(statusCode, err.message, [
+      { field: err.field, message: err.message },
+    ]);
+  }
+
+  // malformed JSON body
+  if (err?.type === "entity.parse.failed") {
+    return new ApiError(400, "Malformed JSON in request body");
+  }
+
+  const statusCode = err?.statusCode || err?.status;
+  if (statusCode >= 400 && statusCode < 500) {
+    return new ApiError(statusCode, err.message);
+  }
+
+  return new ApiError(500, err?.message, [], err?.stack);
+};
+
+// JSON 404 for routes that don't exist
+const notFound = (req, res, next) => {
+  next(new ApiError(404, `Route not found: ${req.method} ${req.originalUrl}`));
+};
+
+// Final error handler, responds with the same envelope as ApiResponse
+const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+  const isDevelopment = process.env.NODE_ENV === "development";
+
+  if (error.statusCode >= 500) {
+    logger.error("Request failed", {
+      method: req.method,
+      path: req.path,
+      error: err,
+    });
+  }
+
+  // Don't leak internal error messages outside development
+  const message =
+    error.statusCode >= 500 && !isDevelopment
+      ? "Something went wrong!"
+      : error.message;
+
+  const body = {
+    statusCode: error.statusCode,
+    data: null,
+    massage: message,
+    success: false,
+    errors: error.errors,
+  };
+  if (isDevelopment) body.stack = err?.stack;
+
+  if (res.headersSent) return next(err);
+  return res.status(error.statusCode).json(body);
+};
+
+export { notFound, errorHandler };
@@ -1,15 +1,39 @@
 import multer from "multer";
+import crypto from "crypto";
+import { ApiError } from "../utils/ApiError.js";
+import { FIELD_KINDS, extensionFor, isAllowedType } from "../utils/fileType.js";
+import { TEMP_UPLOAD_DIR } from "../constants.js";
 
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, "./public/temp");
+    cb(null, TEMP_UPLOAD_DIR);
   },
+  // Server-side names, so concurrent uploads never overwrite each other
   filename: function (req, file, cb) {
-    cb(null, file.originalname);
+    cb(null, `${crypto.randomUUID()}${extensionFor(file.mimetype)}`);
   },
 });
 
+// Only accept image fields as images and video fields as videos
+const fileFilter = (req, file, cb) => {
+  const kind = FIELD_KINDS[file.fieldname];
+  if (!kind) {
+    return cb(new ApiError(400, `Unexpected file field "${file.fieldname}"`));
+  }
+  if (!isAllowedType(kind, file.mimetype)) {
+    return cb(
+      new ApiError(415, `${file.fieldname} must be a supported ${kind} file`, [
+        { field: file.fieldname, message: `unsupported type ${file.mimetype}` },
+      ])
+    );
+  }
+  cb(null, true);
+};
+
+// Direct multipart uploads are meant for images and short clips; larger videos
+// go through the resumable upload endpoints (/api/v1/uploads)
 export const upload = multer({
   storage: storage,
+  fileFilter,
   limits: { fileSize: 1024 * 1024 * 5 },
 });
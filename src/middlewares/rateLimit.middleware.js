@@ -0,0 +1,216 @@
+import { ApiError } from "../utils/ApiError.js";
+import { getRateLimitStore } from "../utils/rateLimitStore/index.js";
+import { logger } from "../utils/logger.js";
+import { getOneTimeTokenUser } from "../utils/oneTimeToken.js";
+import { User } from "../models/user.models.js";
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Build a rate limiting middleware.
+ *
+ * Attempts are counted per key before the request is handled, so parallel
+ * requests can't all slip past the check, and taken back once the response
+ * shows they shouldn't count (a success with `failuresOnly`). When a key
+ * reaches `max` attempts within `windowMs` it is blocked: until the window
+ * ends, or with `backoff` for baseMs, then twice as long for every further
+ * attempt, up to maxMs. Blocked requests get a 429 with a Retry-After header.
+ *
+ * @param {Object} options
+ * @param {String} options.name - Prefix that keeps each limiter's keys apart.
+ * @param {Function} options.key - (req) => key to count (or a promise of it), nothing skips the request.
+ * @param {Number} options.max - Attempts allowed per window.
+ * @param {Number} options.windowMs - Length of the counting window.
+ * @param {Boolean} [options.failuresOnly] - Only count responses with status >= 400.
+ * @param {Boolean} [options.resetOnSuccess] - Forget the key after a successful response.
+ * @param {Object} [options.backoff] - { baseMs, maxMs } for progressive lockout.
+ * @returns {Function} - Express middleware.
+ */
+const rateLimit = ({
+  name,
+  key,
+  max,
+  windowMs,
+  failuresOnly = false,
+  resetOnSuccess = false,
+  backoff,
+}) => {
+  const getLockDuration = (count, resetAt) => {
+    if (!backoff) return resetAt.getTime() - Date.now();
+    const exponent = Math.min(count - max, 30);
+    return Math.min(backoff.baseMs * 2 ** exponent, backoff.maxMs);
+  };
+
+  const lock = async (storeKey, count, resetAt) => {
+    const lockedUntil = new Date(
+      Date.now() + getLockDuration(count, new Date(resetAt))
+    );
+    // With backoff the count outlives the lock, so the next failure locks longer
+    const keepUntil = backoff
+      ? new Date(lockedUntil.getTime() + windowMs)
+      : lockedUntil;
+    await getRateLimitStore().lock(storeKey, lockedUntil, keepUntil);
+  };
+
+  // Settle the attempt counted up front once the outcome is known
+  const record = async (storeKey, attempt, statusCode) => {
+    const store = getRateLimitStore();
+    const failed = statusCode >= 400;
+
+    if (!failed && resetOnSuccess) {
+      await store.reset(storeKey);
+      return;
+    }
+    // Being blocked (e.g. by another limiter) is not another attempt
+    if ((failuresOnly && !failed) || statusCode === 429) {
+      await store.decrement(storeKey);
+      // Lift the lock this attempt held while in flight
+      if (attempt.count > max) await store.lock(storeKey, new Date());
+      return;
+    }
+
+    if (attempt.count >= max) {
+      await lock(storeKey, attempt.count, attempt.resetAt);
+    }
+  };
+
+  const tooManyAttempts = (res, until) => {
+    const retryAfter = Math.max(Math.ceil((until - Date.now()) / 1000), 1);
+    res.set("Retry-After", String(retryAfter));
+    return new ApiError(
+      429,
+      `Too many attempts, try again in ${retryAfter} seconds`
+    );
+  };
+
+  return async (req, res, next) => {
+    try {
+      const value = await key(req);
+      if (!value) return next();
+
+      const storeKey = `${name}:${value}`;
+      const store = getRateLimitStore();
+      const current = await store.get(storeKey);
+      const lockedUntil = current?.lockedUntil && new Date(current.lockedUntil);
+
+      if (lockedUntil && lockedUntil > new Date()) {
+        throw tooManyAttempts(res, lockedUntil);
+      }
+
+      // Counted before the handler runs, so a burst of parallel requests
+      // sees every attempt still in flight
+      const attempt = await store.increment(storeKey, windowMs);
+      if (attempt.count > max) {
+        // Past max only the first retry after an expired backoff lock may
+        // run, and it holds the lock while in flight
+        const isRetryAfterLock =
+          backoff && lockedUntil && attempt.count === current.count + 1;
+        if (!isRetryAfterLock) {
+          await store.decrement(storeKey);
+          const until =
+            attempt.lockedUntil && new Date(attempt.lockedUntil) > new Date()
+              ? attempt.lockedUntil
+              : attempt.resetAt;
+          throw tooManyAttempts(res, new Date(until));
+        }
+        await lock(storeKey, attempt.count, attempt.resetAt);
+      }
+
+      // close also fires for aborted requests, which keep their attempt
+      res.on("close", () => {
+        const statusCode = res.writableFinished ? res.statusCode : 499;
+        record(storeKey, attempt, statusCode).catch((error) =>
+          logger.error("Rate limit store failed", { limiter: name, error })
+        );
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Failed logins per client ip, catches password spraying across accounts
+const loginIpLimiter = rateLimit({
+  name: "login-ip",
+  key: (req) => req.ip,
+  max: 20,
+  windowMs: 15 * MINUTE,
+  failuresOnly: true,
+  backoff: { baseMs: MINUTE, maxMs: 60 * MINUTE },
+});
+
+/**
+ * The account a login attempt is for, looked up the way loginUser does, so
+ * its username and email share one count. Names of unknown accounts are
+ * counted as typed, prefixed so a username can't match an email.
+ * @param {Object} req - Express request object with username or email in the body.
+ * @returns {String} - The rate limit key, if the request names an account.
+ */
+const loginAccountKey = async (req) => {
+  const { username, email } = req.body ?? {};
+  if (!username && !email) return undefined;
+
+  const user = await User.exists(username ? { username } : { email });
+  if (user) return `id:${user._id}`;
+  return username ? `u:${username}` : `e:${email}`;
+};
+
+// Failed logins per account, locks the account for a while after repeated failures
+const loginAccountLimiter = rateLimit({
+  name: "login-account",
+  key: loginAccountKey,
+  max: 5,
+  windowMs: 15 * MINUTE,
+  failuresOnly: true,
+  resetOnSuccess: true,
+  backoff: { baseMs: 30 * 1000, maxMs: 15 * MINUTE },
+});
+
+const refreshTokenLimiter = rateLimit({
+  name: "refresh-token",
+  key: (req) => req.ip,
+  max: 60,
+  windowMs: 15 * MINUTE,
+});
+
+// Guessing a two-factor code: a few tries per account, however many
+// challenges are requested (invalid challenges are rejected anyway)
+const twoFactorLimiter = rateLimit({
+  name: "two-factor",
+  key: (req) =>
+    getOneTimeTokenUser(
+      req.body?.challengeToken,
+      "two-factor-login"
+    )?.toString(),
+  max: 5,
+  windowMs: 15 * MINUTE,
+  failuresOnly: true,
+  backoff: { baseMs: MINUTE, maxMs: 60 * MINUTE },
+});
+
+// Data exports are expensive to build
+const accountExportLimiter = rateLimit({
+  name: "account-export",
+  key: (req) => req.user?._id.toString(),
+  max: 5,
+  windowMs: 60 * MINUTE,
+});
+
+const registerLimiter = rateLimit({
+  name: "register",
+  key: (req) => req.ip,
+  max: 10,
+  windowMs: 60 * MINUTE,
+});
+
+export {
+  rateLimit,
+  loginIpLimiter,
+  loginAccountLimiter,
+  refreshTokenLimiter,
+  twoFactorLimiter,
+  accountExportLimiter,
+  registerLimiter,
+};
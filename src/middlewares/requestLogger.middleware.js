@@ -0,0 +1,68 @@
+import crypto from "crypto";
+import { logger, runWithLogContext } from "../utils/logger.js";
+import { httpRequestDuration, httpRequestsTotal } from "../utils/metrics.js";
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+// Ids from clients or proxies are reused only when they look like ids
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Express sets req.route once a route matches. The full pattern is taken at
+// that point because req.baseUrl is reset when an error leaves the router.
+const trackRoutePattern = (req) => {
+  let route;
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set(value) {
+      route = value;
+      req.routePattern = `${req.baseUrl}${value?.path ?? ""}`;
+    },
+  });
+};
+
+/**
+ * Give every request an id, taken from the X-Request-Id header or generated,
+ * echoed in the response and added to every log line written while it is
+ * handled. Logs one line per finished request and records its metrics.
+ */
+const requestLogger = (req, res, next) => {
+  const incomingId = req.get(REQUEST_ID_HEADER);
+  req.id = REQUEST_ID_PATTERN.test(incomingId || "")
+    ? incomingId
+    : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  trackRoutePattern(req);
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const durationSeconds = Number(process.hrtime.bigint() - start) / 1e9;
+    // Unmatched urls share one label so they can't grow the metrics
+    const labels = {
+      method: req.method,
+      route: req.routePattern || "unmatched",
+      status: res.statusCode,
+    };
+    httpRequestsTotal.inc(labels);
+    httpRequestDuration.observe(labels, durationSeconds);
+
+    const level =
+      res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+    logger[level]("Request completed", {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      route: labels.route,
+      status: res.statusCode,
+      durationMs: Math.round(durationSeconds * 1e5) / 100,
+      userId: req.user?._id,
+      ip: req.ip,
+    });
+  });
+
+  runWithLogContext({ requestId: req.id }, next);
+};
+
+export { requestLogger, REQUEST_ID_HEADER };
@@ -0,0 +1,176 @@
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+
+/*
+ * Declarative request validation.
+ *
+ * A schema maps each request location (body, params, query) to field rules:
+ *   {
+ *     body: {
+ *       username: { type: "string", required: true, lowercase: true, pattern: /^[a-z0-9_.]+$/ },
+ *       age: { type: "int", min: 13 },
+ *     },
+ *   }
+ *
+ * Supported rule keys:
+ *   type       string | email | int | number | boolean | objectId | enum | array
+ *   items      rule applied to every element of an array
+ *   required   reject missing/empty values
+ *   default    value used when the field is missing
+ *   trim       trim strings (on by default for string types)
+ *   lowercase  lowercase strings
+ *   minLength / maxLength (strings and arrays), min / max, pattern, values (for enum)
+ *   message    custom message for pattern failures
+ *   validate   (value) => error message | undefined, for anything else
+ *
+ * Values are coerced (e.g. "10" -> 10 for int) and fields that aren't in the
+ * schema are stripped. Failures are thrown as ApiError(400) with one entry per
+ * field in `errors`.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Whitespace-only strings count as missing
+const isMissing = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+// Returns [value, error]; error is a message when the value is invalid
+const coerce = (value, rule) => {
+  switch (rule.type) {
+    case "int":
+    case "number": {
+      const number = Number(value);
+      if (typeof value === "boolean" || Number.isNaN(number)) {
+        return [value, "must be a number"];
+      }
+      if (rule.type === "int" && !Number.isInteger(number)) {
+        return [value, "must be an integer"];
+      }
+      return [number];
+    }
+    case "boolean": {
+      if (typeof value === "boolean") return [value];
+      if (value === "true" || value === "1") return [true];
+      if (value === "false" || value === "0") return [false];
+      return [value, "must be true or false"];
+    }
+    case "array": {
+      if (!Array.isArray(value)) return [value, "must be an array"];
+      const items = [];
+      for (const [index, item] of value.entries()) {
+        const [coerced, error] = coerce(item, rule.items || {});
+        const itemError = error || check(coerced, rule.items || {});
+        if (itemError) return [value, `[${index}] ${itemError}`];
+        items.push(coerced);
+      }
+      return [items];
+    }
+    case "objectId":
+      return isValidObjectId(value)
+        ? [String(value)]
+        : [value, "is not a valid id"];
+    default: {
+      // string, email, enum
+      if (typeof value !== "string" && typeof value !== "number") {
+        return [value, "must be a string"];
+      }
+      let text = String(value);
+      if (rule.trim !== false) text = text.trim();
+      if (rule.lowercase || rule.type === "email") text = text.toLowerCase();
+      return [text];
+    }
+  }
+};
+
+const check = (value, rule) => {
+  if (typeof value === "string" || Array.isArray(value)) {
+    if (rule.minLength && value.length < rule.minLength) {
+      return Array.isArray(value)
+        ? `must have at least ${rule.minLength} items`
+        : `must be at least ${rule.minLength} characters`;
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return Array.isArray(value)
+        ? `must have at most ${rule.maxLength} items`
+        : `must be at most ${rule.maxLength} characters`;
+    }
+  }
+  if (typeof value === "number") {
+    if (rule.min !== undefined && value < rule.min) {
+      return `must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return `must be at most ${rule.max}`;
+    }
+  }
+  if (rule.type === "email" && !EMAIL_PATTERN.test(value)) {
+    return "must be a valid email address";
+  }
+  if (rule.type === "enum" && !rule.values.includes(value)) {
+    return `must be one of: ${rule.values.join(", ")}`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return rule.message || "has an invalid format";
+  }
+  return rule.validate?.(value);
+};
+
+const validateLocation = (input = {}, rules, location, errors) => {
+  const output = {};
+
+  for (const [field, rule] of Object.entries(rules)) {
+    const value = input[field];
+
+    if (isMissing(value)) {
+      if (rule.required) {
+        errors.push({ field, location, message: `${field} is required` });
+      } else if (rule.default !== undefined) {
+        output[field] = rule.default;
+      }
+      continue;
+    }
+
+    const [coerced, typeError] = coerce(value, rule);
+    const error = typeError || check(coerced, rule);
+    if (error) {
+      errors.push({ field, location, message: `${field} ${error}` });
+      continue;
+    }
+    output[field] = coerced;
+  }
+
+  return output;
+};
+
+/**
+ * Build a middleware that validates and cleans req.body, req.params and req.query.
+ * Place it after multer on multipart routes so req.body is populated.
+ * @param {Object} schema - Field rules keyed by location (body, params, query).
+ * @returns {Function} - Express middleware.
+ */
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+  const cleaned = {};
+
+  for (const location of ["params", "query", "body"]) {
+    if (schema[location]) {
+      cleaned[location] = validateLocation(
+        req[location],
+        schema[location],
+        location,
+        errors
+      );
+    }
+  }
+
+  if (errors.length) {
+    return next(new ApiError(400, "Validation failed", errors));
+  }
+
+  Object.assign(req, cleaned);
+  next();
+};
+
+export { validate };
@@ -0,0 +1,55 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+const commentSchema = new Schema(
+  {
+    content: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    // a comment belongs to either a video or a community post
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+    },
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    parent: {
+      type: Schema.Types.ObjectId, // comment this one replies to, null for top-level
+      ref: "Comment",
+      default: null,
+    },
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    // deleted comments with replies are kept as a placeholder so the thread stays readable
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+commentSchema.index({ video: 1, parent: 1, createdAt: -1 });
+commentSchema.index({ post: 1, parent: 1, createdAt: -1 });
+
+commentSchema.pre("validate", function (next) {
+  if (Boolean(this.video) === Boolean(this.post)) {
+    this.invalidate("video", "A comment needs either a video or a post");
+  }
+  next();
+});
+
+commentSchema.plugin(mongooseAggregatePaginate);
+
+export const Comment = mongoose.model("Comment", commentSchema);
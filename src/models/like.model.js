@@ -0,0 +1,38 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// A user's reaction to a piece of content, at most one per target
+const likeSchema = new Schema(
+  {
+    targetType: {
+      type: String,
+      enum: ["Video", "Comment", "Post"],
+      required: true,
+    },
+    target: {
+      type: Schema.Types.ObjectId,
+      refPath: "targetType",
+      required: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["like", "dislike"],
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+likeSchema.index({ user: 1, targetType: 1, target: 1 }, { unique: true });
+likeSchema.index({ target: 1, targetType: 1 });
+// Liked videos of a user, most recent first
+likeSchema.index({ user: 1, targetType: 1, type: 1, createdAt: -1 });
+
+likeSchema.plugin(mongooseAggregatePaginate);
+
+export const Like = mongoose.model("Like", likeSchema);
@@ -0,0 +1,47 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { NOTIFICATION_TYPES } from "../constants.js";
+
+const notificationSchema = new Schema(
+  {
+    recipient: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    actor: {
+      type: Schema.Types.ObjectId, // the user who triggered it
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+    },
+    comment: {
+      type: Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+notificationSchema.plugin(mongooseAggregatePaginate);
+
+export const Notification = mongoose.model("Notification", notificationSchema);
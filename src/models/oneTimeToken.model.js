@@ -0,0 +1,37 @@
+import mongoose, { Schema } from "mongoose";
+
+// Tracks signed single-use tokens (email verification, password reset and the
+// two-factor login challenge) so each can be used only once
+const oneTimeTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["email-verification", "password-reset", "two-factor-login"],
+      required: true,
+    },
+    jti: {
+      type: String, // id of the signed token
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+oneTimeTokenSchema.index({ user: 1, purpose: 1 });
+oneTimeTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const OneTimeToken = mongoose.model("OneTimeToken", oneTimeTokenSchema);
@@ -0,0 +1,54 @@
+import mongoose, { Schema } from "mongoose";
+import { TOKEN_SCOPES } from "../constants.js";
+
+// Long-lived tokens for scripts and integrations. Only a hash of the token is
+// stored; the token itself is shown once, when it is created.
+const personalAccessTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    tokenHash: {
+      type: String, // sha256 of the token
+      required: true,
+      unique: true,
+    },
+    tokenPrefix: {
+      type: String, // first characters, to tell tokens apart in listings
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: TOKEN_SCOPES }],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      default: null, // never expires
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// mongo removes tokens once they expire; tokens without expiresAt are kept
+personalAccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+personalAccessTokenSchema.methods.isActive = function () {
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+export const PersonalAccessToken = mongoose.model(
+  "PersonalAccessToken",
+  personalAccessTokenSchema
+);
@@ -0,0 +1,37 @@
+import mongoose, { Schema } from "mongoose";
+
+const playlistSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // unlisted playlists are reachable by link but not listed on the channel
+    visibility: {
+      type: String,
+      enum: ["public", "unlisted", "private"],
+      default: "public",
+    },
+    videos: [
+      {
+        type: Schema.Types.ObjectId, // in playback order
+        ref: "Video",
+      },
+    ],
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export const Playlist = mongoose.model("Playlist", playlistSchema);
@@ -0,0 +1,29 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// Short text update on a channel's community tab
+const postSchema = new Schema(
+  {
+    content: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 5000,
+    },
+    image: {
+      type: String, // storage url, optional
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+postSchema.index({ owner: 1, createdAt: -1 });
+
+postSchema.plugin(mongooseAggregatePaginate);
+
+export const Post = mongoose.model("Post", postSchema);
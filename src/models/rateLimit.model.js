@@ -0,0 +1,27 @@
+import mongoose, { Schema } from "mongoose";
+
+// Attempt counters for the MongoDB rate limit store
+const rateLimitSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+});
+
+// mongo drops counters once their window (and any lock) is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
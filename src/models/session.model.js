@@ -0,0 +1,51 @@
+import mongoose, { Schema } from "mongoose";
+
+// One record per logged-in device. The refresh token is rotated on every
+// refresh; only the hash of the latest one is kept.
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String, // logout, revoked, reuse, password-change, password-reset, account-deletion
+    },
+  },
+  { timestamps: true }
+);
+
+// mongo removes sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export const Session = mongoose.model("Session", sessionSchema);
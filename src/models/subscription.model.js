@@ -1,17 +1,27 @@
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 const subscriptionSchema = new Schema(
   {
     subscriber: {
       type: Schema.Types.ObjectId, // one who is subscribing
       ref: "User",
+      required: true,
     },
     channel: {
       type: Schema.Types.ObjectId, //one to whom subscriber is subscribing
       ref: "User",
+      required: true,
     },
   },
   { timestamps: true }
 );
 
+// a user can subscribe to a channel only once. Databases with duplicates from
+// before this index need src/scripts/dedupeSubscriptions.js run once
+subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true });
+subscriptionSchema.index({ channel: 1, createdAt: -1 });
+
+subscriptionSchema.plugin(mongooseAggregatePaginate);
+
 export const Subscription = mongoose.model("Subscription", subscriptionSchema);
@@ -0,0 +1,63 @@
+import mongoose, { Schema } from "mongoose";
+
+// A resumable upload. Chunks are written into tempFile until receivedBytes
+// reaches totalSize, then the file is moved to storage and url is set.
+// Publishing claims the completed upload and removes it once the video is saved.
+// Expired sessions are removed together with their files by utils/uploads.js.
+const uploadSessionSchema = new Schema(
+  {
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    kind: {
+      type: String,
+      enum: ["image", "video"],
+      required: true,
+    },
+    fileName: {
+      type: String, // the client's name, informational only
+      default: "",
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    totalSize: {
+      type: Number,
+      required: true,
+    },
+    receivedBytes: {
+      type: Number,
+      default: 0,
+    },
+    tempFile: {
+      type: String, // server-generated name inside public/temp
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed", "claimed"], // claimed while a publish uses it
+      default: "pending",
+    },
+    url: {
+      type: String, // set once the file is in storage
+    },
+    duration: {
+      type: Number,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export const UploadSession = mongoose.model(
+  "UploadSession",
+  uploadSessionSchema
+);
@@ -1,6 +1,9 @@
 import mongoose, { Schema } from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { ROLE_PERMISSIONS, USER_ROLES, USER_STATUSES } from "../constants.js";
 
 const userSchema = new Schema(
   {
@@ -34,16 +37,82 @@ const userSchema = new Schema(
     },
     watchHistory: [
       {
-        type: Schema.Types.ObjectId,
-        ref: "Video",
+        _id: false,
+        video: {
+          type: Schema.Types.ObjectId,
+          ref: "Video",
+        },
+        watchedAt: {
+          type: Date,
+          default: Date.now,
+        },
       },
     ],
+    role: {
+      type: String,
+      enum: USER_ROLES,
+      default: "user",
+    },
+    status: {
+      type: String,
+      enum: USER_STATUSES,
+      default: "active",
+    },
+    suspendedUntil: {
+      type: Date,
+    },
+    statusReason: {
+      type: String, // why the account was suspended or banned
+    },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    isWatchHistoryPaused: {
+      type: Boolean,
+      default: false,
+    },
+    // TOTP two-factor authentication, secrets are encrypted and never selected by default
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String, // set during enrollment until the first code is confirmed
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String], // sha256 hashes of the unused recovery codes
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number, // time step of the last accepted code, blocks replays
+        select: false,
+      },
+      failedAttempts: {
+        type: Number, // wrong codes in a row, reset by a valid one
+        select: false,
+      },
+      lockedUntil: {
+        type: Date, // set after too many wrong codes
+        select: false,
+      },
+    },
     password: {
       type: String,
       required: [true, "Password is required"],
     },
-    refreshToken: {
-      type: String,
+    // Self-service account deletion, cancelled by logging in before deletionScheduledFor
+    deletionRequestedAt: {
+      type: Date,
+    },
+    deletionScheduledFor: {
+      type: Date,
     },
   },
   {
@@ -55,13 +124,29 @@ userSchema.pre("save", async function (next) {
   this.password = await bcrypt.hash(this.password, 10);
   next();
 });
+userSchema.methods.hasPermission = function (permission) {
+  return ROLE_PERMISSIONS[this.role]?.includes(permission) ?? false;
+};
+// Banned accounts and accounts in an ongoing suspension can't sign in
+userSchema.methods.getAccessBlockReason = function () {
+  if (this.deletionScheduledFor && this.deletionScheduledFor <= new Date()) {
+    return "Account is being deleted";
+  }
+  if (this.status === "banned") return "Account is banned";
+  if (this.status === "suspended" && this.suspendedUntil > new Date()) {
+    return `Account is suspended until ${this.suspendedUntil.toISOString()}`;
+  }
+  return null;
+};
 userSchema.methods.isPasswordCorrect = async function (password) {
   return await bcrypt.compare(password, this.password);
 };
-userSchema.methods.generateAccessToken = function () {
+// sid ties both tokens to the Session they were issued for
+userSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
       email: this.email,
       username: this.username,
       fullname: this.fullname,
@@ -72,16 +157,51 @@ userSchema.methods.generateAccessToken = function () {
     }
   );
 };
-userSchema.methods.generateRefreshToken = function () {
+userSchema.methods.generateRefreshToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
       expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+      jwtid: crypto.randomUUID(), // every rotated token must be unique
+    }
+  );
+};
+// Keep the watch history bounded, oldest entries fall off the end
+const WATCH_HISTORY_LIMIT = 200;
+
+// Moves the video to the front of the user's history (most recent first)
+userSchema.statics.addToWatchHistory = async function (userId, videoId) {
+  await this.updateOne(
+    { _id: userId, isWatchHistoryPaused: { $ne: true } },
+    { $pull: { watchHistory: { video: videoId } } }
+  );
+  await this.updateOne(
+    { _id: userId, isWatchHistoryPaused: { $ne: true } },
+    {
+      $push: {
+        watchHistory: {
+          $each: [{ video: videoId, watchedAt: new Date() }],
+          $position: 0,
+          $slice: WATCH_HISTORY_LIMIT,
+        },
+      },
     }
   );
 };
 
+// full-text search over channel names
+userSchema.index(
+  { username: "text", fullname: "text" },
+  { weights: { username: 3, fullname: 2 }, name: "user_text_search" }
+);
+
+// accounts waiting for the deletion job
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
+userSchema.plugin(mongooseAggregatePaginate);
+
 export const User = mongoose.model("User", userSchema);
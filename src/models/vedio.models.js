@@ -13,31 +13,51 @@ const videoSchema = new Schema(
     title: {
       type: String,
       required: true,
+      trim: true,
     },
-    discription: {
+    description: {
       type: String,
       required: true,
+      trim: true,
     },
     duration: {
-      type: String, // cloudinary url
+      type: Number, // seconds, taken from the cloudinary upload result
       required: true,
     },
-    viwes: {
+    views: {
       type: Number,
       default: 0,
     },
     isPublished: {
-      type: bolean,
+      type: Boolean,
       default: true,
     },
-    videoOwner: {
+    // set when a moderator unpublishes the video, the owner can't republish it
+    isBlocked: {
+      type: Boolean,
+      default: false,
+    },
+    blockReason: {
+      type: String,
+    },
+    owner: {
       type: Schema.Types.ObjectId,
       ref: "User",
+      index: true,
     },
   },
-  { timeStamp: true }
+  { timestamps: true }
 );
 
+// full-text search over titles (weighted higher) and descriptions
+videoSchema.index(
+  { title: "text", description: "text" },
+  { weights: { title: 5, description: 1 }, name: "video_text_search" }
+);
+
+// subscriptions feed: newest published videos of a set of channels
+videoSchema.index({ owner: 1, isPublished: 1, createdAt: -1, _id: -1 });
+
 videoSchema.plugin(mongooseAggregatePaginate);
 
 export const Video = mongoose.model("Video", videoSchema);
@@ -0,0 +1,35 @@
+import mongoose, { Schema } from "mongoose";
+
+// One record per counted view, kept for the creator dashboard time series.
+// The channel is copied from the video so analytics don't need a join.
+const viewEventSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    channel: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    viewer: {
+      type: Schema.Types.ObjectId, // null for anonymous viewers
+      ref: "User",
+      default: null,
+    },
+    ipHash: {
+      type: String, // sha256 of the ip of anonymous viewers, to skip repeat views
+      default: null,
+      select: false,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+viewEventSchema.index({ channel: 1, createdAt: -1 });
+viewEventSchema.index({ video: 1, createdAt: -1 });
+viewEventSchema.index({ video: 1, viewer: 1, ipHash: 1, createdAt: -1 });
+
+export const ViewEvent = mongoose.model("ViewEvent", viewEventSchema);
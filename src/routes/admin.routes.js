@@ -0,0 +1,61 @@
+import { Router } from "express";
+import {
+  banUser,
+  forceUnpublishVideo,
+  getUsers,
+  reinstateUser,
+  suspendUser,
+  unblockVideo,
+  updateUserRole,
+} from "../controllers/admin.controller.js";
+import { authorize, verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  banUserSchema,
+  getUsersSchema,
+  moderateVideoSchema,
+  suspendUserSchema,
+  updateUserRoleSchema,
+  userIdSchema,
+} from "../validators/admin.validator.js";
+const router = Router();
+
+// secured routes
+router.use(verifyJWT);
+
+router
+  .route("/users")
+  .get(authorize("users:read"), validate(getUsersSchema), getUsers);
+router
+  .route("/users/:userId/suspend")
+  .patch(authorize("users:suspend"), validate(suspendUserSchema), suspendUser);
+router
+  .route("/users/:userId/ban")
+  .patch(authorize("users:ban"), validate(banUserSchema), banUser);
+router
+  .route("/users/:userId/reinstate")
+  .patch(authorize("users:suspend"), validate(userIdSchema), reinstateUser);
+router
+  .route("/users/:userId/role")
+  .patch(
+    authorize("users:role"),
+    validate(updateUserRoleSchema),
+    updateUserRole
+  );
+
+router
+  .route("/videos/:videoId/unpublish")
+  .patch(
+    authorize("videos:moderate"),
+    validate(moderateVideoSchema),
+    forceUnpublishVideo
+  );
+router
+  .route("/videos/:videoId/unblock")
+  .patch(
+    authorize("videos:moderate"),
+    validate(moderateVideoSchema),
+    unblockVideo
+  );
+
+export default router;
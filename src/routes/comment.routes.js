@@ -0,0 +1,52 @@
+import { Router } from "express";
+import {
+  addComment,
+  addPostComment,
+  deleteComment,
+  getPostComments,
+  getVideoComments,
+  updateComment,
+} from "../controllers/comment.controller.js";
+import {
+  optionalJWT,
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  addCommentSchema,
+  addPostCommentSchema,
+  commentIdSchema,
+  getCommentsSchema,
+  getPostCommentsSchema,
+  updateCommentSchema,
+} from "../validators/comment.validator.js";
+const router = Router();
+
+router
+  .route("/:videoId")
+  .get(optionalJWT, validate(getCommentsSchema), getVideoComments)
+  // secured routes
+  .post(
+    verifyJWT,
+    requireVerifiedEmail,
+    validate(addCommentSchema),
+    addComment
+  );
+
+router
+  .route("/p/:postId")
+  .get(optionalJWT, validate(getPostCommentsSchema), getPostComments)
+  .post(
+    verifyJWT,
+    requireVerifiedEmail,
+    validate(addPostCommentSchema),
+    addPostComment
+  );
+
+router
+  .route("/c/:commentId")
+  .patch(verifyJWT, validate(updateCommentSchema), updateComment)
+  .delete(verifyJWT, validate(commentIdSchema), deleteComment);
+
+export default router;
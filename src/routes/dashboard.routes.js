@@ -0,0 +1,29 @@
+import { Router } from "express";
+import {
+  exportChannelVideoStats,
+  getChannelStats,
+  getChannelTimeSeries,
+  getChannelVideoStats,
+} from "../controllers/dashboard.controller.js";
+import { allowAccessToken, verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  exportVideoStatsSchema,
+  timeSeriesSchema,
+  videoStatsSchema,
+} from "../validators/dashboard.validator.js";
+const router = Router();
+
+// secured routes
+router.use(allowAccessToken("analytics:read"), verifyJWT);
+
+router.route("/stats").get(getChannelStats);
+router.route("/videos").get(validate(videoStatsSchema), getChannelVideoStats);
+router
+  .route("/videos/export")
+  .get(validate(exportVideoStatsSchema), exportChannelVideoStats);
+router
+  .route("/analytics")
+  .get(validate(timeSeriesSchema), getChannelTimeSeries);
+
+export default router;
@@ -0,0 +1,13 @@
+import { Router } from "express";
+import { getSubscriptionsFeed } from "../controllers/feed.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { subscriptionsFeedSchema } from "../validators/feed.validator.js";
+const router = Router();
+
+// secured routes
+router
+  .route("/subscriptions")
+  .get(verifyJWT, validate(subscriptionsFeedSchema), getSubscriptionsFeed);
+
+export default router;
@@ -0,0 +1,35 @@
+import { Router } from "express";
+import {
+  getLikedVideos,
+  reactToComment,
+  reactToPost,
+  reactToVideo,
+} from "../controllers/like.controller.js";
+import {
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  commentReactionSchema,
+  likedVideosSchema,
+  postReactionSchema,
+  videoReactionSchema,
+} from "../validators/like.validator.js";
+const router = Router();
+
+// secured routes
+router.use(verifyJWT);
+
+router.route("/videos").get(validate(likedVideosSchema), getLikedVideos);
+router
+  .route("/v/:videoId")
+  .put(requireVerifiedEmail, validate(videoReactionSchema), reactToVideo);
+router
+  .route("/c/:commentId")
+  .put(requireVerifiedEmail, validate(commentReactionSchema), reactToComment);
+router
+  .route("/p/:postId")
+  .put(requireVerifiedEmail, validate(postReactionSchema), reactToPost);
+
+export default router;
@@ -0,0 +1,28 @@
+import { Router } from "express";
+import {
+  getNotifications,
+  getUnreadCount,
+  markAllNotificationsRead,
+  markNotificationRead,
+  streamNotifications,
+} from "../controllers/notification.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getNotificationsSchema,
+  notificationIdSchema,
+} from "../validators/notification.validator.js";
+const router = Router();
+
+// secured routes
+router.use(verifyJWT);
+
+router.route("/").get(validate(getNotificationsSchema), getNotifications);
+router.route("/unread-count").get(getUnreadCount);
+router.route("/stream").get(streamNotifications);
+router.route("/read-all").patch(markAllNotificationsRead);
+router
+  .route("/:notificationId/read")
+  .patch(validate(notificationIdSchema), markNotificationRead);
+
+export default router;
@@ -0,0 +1,21 @@
+import { Router } from "express";
+import {
+  createToken,
+  getTokens,
+  revokeToken,
+} from "../controllers/personalAccessToken.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createTokenSchema,
+  tokenIdSchema,
+} from "../validators/personalAccessToken.validator.js";
+const router = Router();
+
+// secured routes, tokens can only be managed from a logged-in session
+router.use(verifyJWT);
+
+router.route("/").get(getTokens).post(validate(createTokenSchema), createToken);
+router.route("/:tokenId").delete(validate(tokenIdSchema), revokeToken);
+
+export default router;
@@ -0,0 +1,85 @@
+import { Router } from "express";
+import {
+  addVideoToPlaylist,
+  createPlaylist,
+  deletePlaylist,
+  getPlaylistById,
+  getUserPlaylists,
+  removeVideoFromPlaylist,
+  reorderPlaylist,
+  updatePlaylist,
+} from "../controllers/playlist.controller.js";
+import {
+  allowAccessToken,
+  optionalJWT,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createPlaylistSchema,
+  playlistIdSchema,
+  playlistVideoSchema,
+  reorderPlaylistSchema,
+  updatePlaylistSchema,
+  userPlaylistsSchema,
+} from "../validators/playlist.validator.js";
+const router = Router();
+
+// write routes also accept personal access tokens with this scope
+const playlistsWrite = allowAccessToken("playlists:write");
+
+router
+  .route("/")
+  .post(
+    playlistsWrite,
+    verifyJWT,
+    validate(createPlaylistSchema),
+    createPlaylist
+  );
+
+router
+  .route("/user/:userId")
+  .get(optionalJWT, validate(userPlaylistsSchema), getUserPlaylists);
+
+router
+  .route("/:playlistId")
+  .get(optionalJWT, validate(playlistIdSchema), getPlaylistById)
+  // secured routes
+  .patch(
+    playlistsWrite,
+    verifyJWT,
+    validate(updatePlaylistSchema),
+    updatePlaylist
+  )
+  .delete(
+    playlistsWrite,
+    verifyJWT,
+    validate(playlistIdSchema),
+    deletePlaylist
+  );
+
+router
+  .route("/:playlistId/videos/:videoId")
+  .patch(
+    playlistsWrite,
+    verifyJWT,
+    validate(playlistVideoSchema),
+    addVideoToPlaylist
+  )
+  .delete(
+    playlistsWrite,
+    verifyJWT,
+    validate(playlistVideoSchema),
+    removeVideoFromPlaylist
+  );
+
+router
+  .route("/:playlistId/order")
+  .put(
+    playlistsWrite,
+    verifyJWT,
+    validate(reorderPlaylistSchema),
+    reorderPlaylist
+  );
+
+export default router;
@@ -0,0 +1,49 @@
+import { Router } from "express";
+import {
+  createPost,
+  deletePost,
+  getUserPosts,
+  updatePost,
+} from "../controllers/post.controller.js";
+import { upload } from "../middlewares/multer.middleware.js";
+import {
+  optionalJWT,
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createPostSchema,
+  postIdSchema,
+  updatePostSchema,
+  userPostsSchema,
+} from "../validators/post.validator.js";
+const router = Router();
+
+router
+  .route("/")
+  .post(
+    verifyJWT,
+    requireVerifiedEmail,
+    upload.single("image"),
+    validate(createPostSchema),
+    createPost
+  );
+
+router
+  .route("/user/:userId")
+  .get(optionalJWT, validate(userPostsSchema), getUserPosts);
+
+// secured routes
+router
+  .route("/:postId")
+  .patch(
+    verifyJWT,
+    requireVerifiedEmail,
+    upload.single("image"),
+    validate(updatePostSchema),
+    updatePost
+  )
+  .delete(verifyJWT, validate(postIdSchema), deletePost);
+
+export default router;
@@ -0,0 +1,9 @@
+import { Router } from "express";
+import { search } from "../controllers/search.controller.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { searchSchema } from "../validators/search.validator.js";
+const router = Router();
+
+router.route("/").get(validate(searchSchema), search);
+
+export default router;
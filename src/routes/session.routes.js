@@ -0,0 +1,18 @@
+import { Router } from "express";
+import {
+  getSessions,
+  revokeAllSessions,
+  revokeSession,
+} from "../controllers/session.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { sessionIdSchema } from "../validators/session.validator.js";
+const router = Router();
+
+// secured routes
+router.use(verifyJWT);
+
+router.route("/").get(getSessions).delete(revokeAllSessions);
+router.route("/:sessionId").delete(validate(sessionIdSchema), revokeSession);
+
+export default router;
@@ -0,0 +1,34 @@
+import { Router } from "express";
+import {
+  getSubscribedChannels,
+  getUserChannelSubscribers,
+  toggleSubscription,
+} from "../controllers/subscription.controller.js";
+import {
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  channelIdSchema,
+  channelSubscribersSchema,
+  subscribedChannelsSchema,
+} from "../validators/subscription.validator.js";
+const router = Router();
+
+router
+  .route("/c/:channelId")
+  .get(validate(channelSubscribersSchema), getUserChannelSubscribers)
+  // secured routes
+  .post(
+    verifyJWT,
+    requireVerifiedEmail,
+    validate(channelIdSchema),
+    toggleSubscription
+  );
+
+router
+  .route("/u/:subscriberId")
+  .get(validate(subscribedChannelsSchema), getSubscribedChannels);
+
+export default router;
@@ -0,0 +1,42 @@
+import express, { Router } from "express";
+import {
+  cancelUpload,
+  completeUpload,
+  createUpload,
+  getUploadStatus,
+  uploadChunk,
+} from "../controllers/upload.controller.js";
+import {
+  allowAccessToken,
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { MAX_CHUNK_SIZE } from "../utils/uploads.js";
+import {
+  createUploadSchema,
+  uploadChunkSchema,
+  uploadIdSchema,
+} from "../validators/upload.validator.js";
+const router = Router();
+
+// secured routes
+router.use(allowAccessToken("videos:write"), verifyJWT, requireVerifiedEmail);
+
+router.route("/").post(validate(createUploadSchema), createUpload);
+
+router
+  .route("/:uploadId")
+  .get(validate(uploadIdSchema), getUploadStatus)
+  .put(
+    express.raw({ type: "application/octet-stream", limit: MAX_CHUNK_SIZE }),
+    validate(uploadChunkSchema),
+    uploadChunk
+  )
+  .delete(validate(uploadIdSchema), cancelUpload);
+
+router
+  .route("/:uploadId/complete")
+  .post(validate(uploadIdSchema), completeUpload);
+
+export default router;
@@ -1,14 +1,67 @@
 import { Router } from "express";
 import {
+  changeCurrentPassword,
+  clearWatchHistory,
+  forgotPassword,
+  getCurrentUser,
+  getUserChannelProfile,
+  getWatchHistory,
   loginUser,
   logoutUser,
   refreshAccessToken,
   registerUser,
+  removeFromWatchHistory,
+  requestEmailVerification,
+  resetPassword,
+  setWatchHistoryPaused,
+  updateAvatar,
+  updateCoverImage,
+  verifyEmail,
+  verifyTwoFactorLogin,
 } from "../controllers/user.controller.js";
+import {
+  disableTwoFactor,
+  enableTwoFactor,
+  setupTwoFactor,
+} from "../controllers/twoFactor.controller.js";
+import {
+  exportAccountData,
+  requestAccountDeletion,
+} from "../controllers/account.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  allowAccessToken,
+  optionalJWT,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  accountExportLimiter,
+  loginAccountLimiter,
+  loginIpLimiter,
+  refreshTokenLimiter,
+  registerLimiter,
+  twoFactorLimiter,
+} from "../middlewares/rateLimit.middleware.js";
+import {
+  accountDeletionSchema,
+  changePasswordSchema,
+  channelProfileSchema,
+  disableTwoFactorSchema,
+  enableTwoFactorSchema,
+  forgotPasswordSchema,
+  loginSchema,
+  refreshTokenSchema,
+  registerSchema,
+  resetPasswordSchema,
+  tokenSchema,
+  twoFactorLoginSchema,
+  watchHistoryEntrySchema,
+  watchHistoryPauseSchema,
+} from "../validators/user.validator.js";
 const router = Router();
 router.route("/register").post(
+  registerLimiter,
   upload.fields([
     { name: "avatar", maxCount: 1 },
     {
@@ -16,12 +69,63 @@ router.route("/register").post(
       maxCount: 1,
     },
   ]),
+  validate(registerSchema),
   registerUser
 );
-router.route("/login").post(loginUser);
-// secured routes
+router
+  .route("/login")
+  .post(validate(loginSchema), loginIpLimiter, loginAccountLimiter, loginUser);
+router
+  .route("/login/2fa")
+  .post(validate(twoFactorLoginSchema), twoFactorLimiter, verifyTwoFactorLogin);
+router.route("/verify-email").post(validate(tokenSchema), verifyEmail);
+router
+  .route("/forgot-password")
+  .post(validate(forgotPasswordSchema), forgotPassword);
+router
+  .route("/reset-password")
+  .post(validate(resetPasswordSchema), resetPassword);
 // secured routes
 router.route("/logout").post(verifyJWT, logoutUser);
-router.route("/refresh-token").post(refreshAccessToken);
+router
+  .route("/current-user")
+  .get(allowAccessToken("profile:read"), verifyJWT, getCurrentUser);
+router
+  .route("/refresh-token")
+  .post(refreshTokenLimiter, validate(refreshTokenSchema), refreshAccessToken);
+router
+  .route("/change-password")
+  .post(verifyJWT, validate(changePasswordSchema), changeCurrentPassword);
+router.route("/verify-email/request").post(verifyJWT, requestEmailVerification);
+router.route("/2fa/setup").post(verifyJWT, setupTwoFactor);
+router
+  .route("/2fa/enable")
+  .post(verifyJWT, validate(enableTwoFactorSchema), enableTwoFactor);
+router
+  .route("/2fa/disable")
+  .post(verifyJWT, validate(disableTwoFactorSchema), disableTwoFactor);
+router
+  .route("/me/export")
+  .get(verifyJWT, accountExportLimiter, exportAccountData);
+router
+  .route("/me/deletion")
+  .post(verifyJWT, validate(accountDeletionSchema), requestAccountDeletion);
+router.route("/avatar").patch(verifyJWT, upload.single("avatar"), updateAvatar);
+router
+  .route("/cover-image")
+  .patch(verifyJWT, upload.single("coverImage"), updateCoverImage);
+router
+  .route("/watch-history")
+  .get(verifyJWT, getWatchHistory)
+  .delete(verifyJWT, clearWatchHistory);
+router
+  .route("/watch-history/pause")
+  .patch(verifyJWT, validate(watchHistoryPauseSchema), setWatchHistoryPaused);
+router
+  .route("/watch-history/:videoId")
+  .delete(verifyJWT, validate(watchHistoryEntrySchema), removeFromWatchHistory);
+router
+  .route("/c/:username")
+  .get(optionalJWT, validate(channelProfileSchema), getUserChannelProfile);
 
 export default router;
@@ -0,0 +1,73 @@
+import { Router } from "express";
+import {
+  deleteVideo,
+  getAllVideos,
+  getVideoById,
+  publishAVideo,
+  togglePublishStatus,
+  updateVideo,
+} from "../controllers/video.controller.js";
+import { upload } from "../middlewares/multer.middleware.js";
+import {
+  allowAccessToken,
+  optionalJWT,
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getVideosSchema,
+  publishVideoSchema,
+  updateVideoSchema,
+  videoIdSchema,
+} from "../validators/video.validator.js";
+const router = Router();
+
+router
+  .route("/")
+  .get(optionalJWT, validate(getVideosSchema), getAllVideos)
+  .post(
+    allowAccessToken("videos:write"),
+    verifyJWT,
+    requireVerifiedEmail,
+    upload.fields([
+      { name: "videoFile", maxCount: 1 },
+      {
+        name: "thumbnail",
+        maxCount: 1,
+      },
+    ]),
+    validate(publishVideoSchema),
+    publishAVideo
+  );
+
+router
+  .route("/:videoId")
+  .get(optionalJWT, validate(videoIdSchema), getVideoById)
+  .patch(
+    allowAccessToken("videos:write"),
+    verifyJWT,
+    requireVerifiedEmail,
+    upload.single("thumbnail"),
+    validate(updateVideoSchema),
+    updateVideo
+  )
+  .delete(
+    allowAccessToken("videos:write"),
+    verifyJWT,
+    validate(videoIdSchema),
+    deleteVideo
+  );
+
+// secured routes
+router
+  .route("/toggle/publish/:videoId")
+  .patch(
+    allowAccessToken("videos:write"),
+    verifyJWT,
+    requireVerifiedEmail,
+    validate(videoIdSchema),
+    togglePublishStatus
+  );
+
+export default router;
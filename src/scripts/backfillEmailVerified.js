@@ -0,0 +1,29 @@
+// One-off migration: mark the accounts created before email verification as
+// verified. They never had the isEmailVerified field, so without this they
+// would be locked out of every route that requires a verified email. Run it
+// once when deploying email verification:
+//   npm run backfill:email-verified
+import mongoose from "mongoose";
+import connectDB from "../db/index.js";
+import { User } from "../models/user.models.js";
+import { logger } from "../utils/logger.js";
+
+const backfillEmailVerified = async () => {
+  // Accounts created since always have the field, verified or not
+  const result = await User.updateMany(
+    { isEmailVerified: { $exists: false } },
+    { $set: { isEmailVerified: true } }
+  );
+  return result.modifiedCount;
+};
+
+try {
+  await connectDB();
+  const updated = await backfillEmailVerified();
+  logger.info("Marked existing accounts as verified", { updated });
+} catch (error) {
+  logger.error("Failed to backfill email verification", { error });
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
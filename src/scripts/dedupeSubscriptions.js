@@ -0,0 +1,45 @@
+// One-off migration: remove duplicate subscriptions so the unique
+// { subscriber, channel } index can be built. The oldest subscription of every
+// pair is kept. Run it once before deploying the unique index:
+//   npm run dedupe:subscriptions
+import mongoose from "mongoose";
+import connectDB from "../db/index.js";
+import { Subscription } from "../models/subscription.model.js";
+import { logger } from "../utils/logger.js";
+
+const dedupeSubscriptions = async () => {
+  const duplicates = Subscription.aggregate([
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: { subscriber: "$subscriber", channel: "$channel" },
+        ids: { $push: "$_id" },
+        count: { $sum: 1 },
+      },
+    },
+    { $match: { count: { $gt: 1 } } },
+  ]).allowDiskUse(true);
+
+  let removed = 0;
+  for await (const pair of duplicates) {
+    const [, ...extraIds] = pair.ids;
+    const result = await Subscription.deleteMany({ _id: { $in: extraIds } });
+    removed += result.deletedCount;
+  }
+
+  // Builds the unique index now that nothing conflicts with it
+  await Subscription.createIndexes();
+
+  return removed;
+};
+
+try {
+  await connectDB();
+  const removed = await dedupeSubscriptions();
+  logger.info("Removed duplicate subscriptions", { removed });
+} catch (error) {
+  logger.error("Failed to dedupe subscriptions", { error });
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,42 @@
+// Make an existing account an admin. Roles can only be changed by an admin
+// through the API, so the first one has to be created from the command line:
+//   npm run promote:admin -- someone@example.com
+import mongoose from "mongoose";
+import connectDB from "../db/index.js";
+import { User } from "../models/user.models.js";
+import { logger } from "../utils/logger.js";
+
+const promoteAdmin = async (email) => {
+  const user = await User.findOneAndUpdate(
+    { email: email.trim().toLowerCase() },
+    { $set: { role: "admin" } },
+    { new: true }
+  ).select("username email role");
+
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+
+  return user;
+};
+
+const email = process.argv[2];
+
+if (!email) {
+  logger.error("Usage: npm run promote:admin -- <email>");
+  process.exit(1);
+}
+
+try {
+  await connectDB();
+  const user = await promoteAdmin(email);
+  logger.info("User promoted to admin", {
+    userId: user._id,
+    username: user.username,
+  });
+} catch (error) {
+  logger.error("Failed to promote user", { error });
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,123 @@
+import { User } from "../models/user.models.js";
+import { Video } from "../models/vedio.models.js";
+import { Post } from "../models/post.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { Notification } from "../models/notification.model.js";
+import { ViewEvent } from "../models/viewEvent.model.js";
+import { Session } from "../models/session.model.js";
+import { PersonalAccessToken } from "../models/personalAccessToken.model.js";
+import { OneTimeToken } from "../models/oneTimeToken.model.js";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { removeComment, removePost, removeVideo } from "./contentRemoval.js";
+import { removeUploadSession } from "./uploads.js";
+import { deleteFile } from "./storage/index.js";
+import { logger } from "./logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+// Accounts deleted per run, the rest wait for the next one
+const BATCH_SIZE = 50;
+
+// How long a deletion request can still be cancelled by logging in
+const getDeletionGracePeriodMs = () =>
+  (Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14) * DAY_MS;
+
+/**
+ * Cancel a pending deletion that is still within its grace period.
+ * @param {String} userId - The ID of the user.
+ * @returns {Boolean} - true when a deletion was cancelled.
+ */
+const cancelAccountDeletion = async (userId) => {
+  const result = await User.updateOne(
+    { _id: userId, deletionScheduledFor: { $gt: new Date() } },
+    { $unset: { deletionRequestedAt: 1, deletionScheduledFor: 1 } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Delete a user with everything they own: videos, posts, playlists,
+ * subscriptions in both directions, reactions, notifications, sessions and
+ * stored media. Their comments on other channels go too, only the ones with
+ * replies stay as placeholders so threads remain readable. Every step can be
+ * repeated, so a failed run is finished by the next one.
+ * @param {Object} user - The user document.
+ */
+const deleteAccount = async (user) => {
+  const userId = user._id;
+
+  // Sign-in first, so nothing can be added while the rest is removed
+  await Session.deleteMany({ user: userId });
+  await PersonalAccessToken.deleteMany({ user: userId });
+  await OneTimeToken.deleteMany({ user: userId });
+
+  for await (const video of Video.find({ owner: userId })) {
+    await removeVideo(video);
+  }
+  for await (const post of Post.find({ owner: userId })) {
+    await removePost(post);
+  }
+  for await (const upload of UploadSession.find({ owner: userId })) {
+    await removeUploadSession(upload);
+  }
+
+  await Playlist.deleteMany({ owner: userId });
+  await Subscription.deleteMany({
+    $or: [{ subscriber: userId }, { channel: userId }],
+  });
+  await Like.deleteMany({ user: userId });
+  await Notification.deleteMany({
+    $or: [{ recipient: userId }, { actor: userId }],
+  });
+  const comments = Comment.find({ owner: userId }).select("parent");
+  for await (const comment of comments) {
+    await removeComment(comment);
+  }
+  // Views stay in other channels' analytics, just no longer tied to the user
+  await ViewEvent.updateMany({ viewer: userId }, { $set: { viewer: null } });
+
+  await Promise.all([deleteFile(user.avatar), deleteFile(user.coverImage)]);
+  await user.deleteOne();
+};
+
+/**
+ * Delete the accounts whose grace period has ended.
+ */
+const purgeDeletedAccounts = async () => {
+  const users = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+  }).limit(BATCH_SIZE);
+
+  for (const user of users) {
+    await deleteAccount(user).catch((error) =>
+      logger.error("Failed to delete account", { userId: user._id, error })
+    );
+  }
+};
+
+/**
+ * Run purgeDeletedAccounts now and then every hour. The timer doesn't keep
+ * the process alive.
+ */
+const startAccountDeletionJob = () => {
+  const run = () =>
+    purgeDeletedAccounts().catch((error) =>
+      logger.error("Failed to purge deleted accounts", { error })
+    );
+
+  run();
+  setInterval(run, JOB_INTERVAL_MS).unref();
+};
+
+export {
+  getDeletionGracePeriodMs,
+  cancelAccountDeletion,
+  deleteAccount,
+  purgeDeletedAccounts,
+  startAccountDeletionJob,
+};
@@ -1,6 +1,7 @@
 import { v2 as cloudinary } from "cloudinary";
 
 import fs from "fs";
+import { logger } from "./logger.js";
 
 // Configuration
 cloudinary.config({
@@ -9,22 +10,72 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
+// cloudinary rejects single requests over 100 MB, bigger files (only videos
+// get that large) are sent in chunks
+const LARGE_FILE_BYTES = 100 * 1024 * 1024;
+const LARGE_FILE_CHUNK_BYTES = 20 * 1024 * 1024;
+
+const uploadLarge = (localFilePath) =>
+  new Promise((resolve, reject) => {
+    cloudinary.uploader.upload_large(
+      localFilePath,
+      { resource_type: "video", chunk_size: LARGE_FILE_CHUNK_BYTES },
+      (error, result) => (error ? reject(error) : resolve(result))
+    );
+  });
+
 const uploadOnCloudinary = async (localFilePath) => {
   try {
     if (!localFilePath) return null;
     //upload file on cloudinary server
-    const response = await cloudinary.uploader.upload(localFilePath, {
-      resource_type: "auto",
-    });
+    const response =
+      fs.statSync(localFilePath).size > LARGE_FILE_BYTES
+        ? await uploadLarge(localFilePath)
+        : await cloudinary.uploader.upload(localFilePath, {
+            resource_type: "auto",
+          });
     // file has been uploaded successfully
-    console.log("file is uploader on cloudinary", response);
+    logger.debug("Uploaded file to cloudinary", {
+      publicId: response.public_id,
+      resourceType: response.resource_type,
+      bytes: response.bytes,
+    });
     fs.unlinkSync(localFilePath);
     return response;
   } catch (err) {
     fs.unlinkSync(localFilePath); // remove the localy saved temporary file as the upload operation got failed
+    logger.warn("Cloudinary upload failed", { error: err });
 
     return null;
   }
 };
 
-export { uploadOnCloudinary };
+// remove an uploaded asset, resourceType must match the one used on upload
+const deleteFromCloudinary = async (publicId, resourceType = "image") => {
+  if (!publicId) return null;
+  return await cloudinary.uploader.destroy(publicId, {
+    resource_type: resourceType,
+    invalidate: true,
+  });
+};
+
+// build the delivery url of an uploaded asset from its public id
+const getCloudinaryUrl = (publicId, resourceType = "image") => {
+  return cloudinary.url(publicId, {
+    resource_type: resourceType,
+    secure: true,
+  });
+};
+
+// check that the account is reachable with the configured credentials
+const pingCloudinary = async () => {
+  const result = await cloudinary.api.ping();
+  return result?.status === "ok";
+};
+
+export {
+  uploadOnCloudinary,
+  deleteFromCloudinary,
+  getCloudinaryUrl,
+  pingCloudinary,
+};
@@ -0,0 +1,107 @@
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Notification } from "../models/notification.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { ViewEvent } from "../models/viewEvent.model.js";
+import { deleteFile } from "./storage/index.js";
+
+/**
+ * Take a removed reply off its parent's replyCount. A deleted parent only
+ * stays as a placeholder for its replies, so it is removed for good once the
+ * last one is gone, and the same goes on up the thread.
+ * @param {String} parentId - The ID of the parent comment.
+ */
+const detachReply = async (parentId) => {
+  let id = parentId;
+  while (id) {
+    const parent = await Comment.findOneAndUpdate(
+      { _id: id },
+      { $inc: { replyCount: -1 } },
+      { new: true }
+    );
+    if (!parent?.isDeleted || parent.replyCount > 0) return;
+
+    // Conditional, a reply may have been added in the meantime
+    const { deletedCount } = await Comment.deleteOne({
+      _id: parent._id,
+      isDeleted: true,
+      replyCount: { $lte: 0 },
+    });
+    if (!deletedCount) return;
+
+    id = parent.parent;
+  }
+};
+
+/**
+ * Delete a comment with its reactions. A comment with replies is kept as an
+ * empty placeholder so the thread stays readable.
+ * @param {Object} comment - The comment document.
+ */
+const removeComment = async (comment) => {
+  await Like.deleteMany({ targetType: "Comment", target: comment._id });
+
+  // Conditional, a reply may have been added since the comment was read
+  const { deletedCount } = await Comment.deleteOne({
+    _id: comment._id,
+    replyCount: { $lte: 0 },
+  });
+  if (deletedCount) {
+    await detachReply(comment.parent);
+    return;
+  }
+
+  await Comment.updateOne(
+    { _id: comment._id },
+    { $set: { isDeleted: true, content: "" } }
+  );
+};
+
+/**
+ * Delete a video with its comments, reactions, view events, notifications,
+ * playlist entries and stored media.
+ * @param {Object} video - The video document.
+ */
+const removeVideo = async (video) => {
+  const commentIds = await Comment.find({ video: video._id }).distinct("_id");
+  await Like.deleteMany({
+    $or: [
+      { targetType: "Video", target: video._id },
+      { targetType: "Comment", target: { $in: commentIds } },
+    ],
+  });
+  await Comment.deleteMany({ video: video._id });
+  await ViewEvent.deleteMany({ video: video._id });
+  await Notification.deleteMany({ video: video._id });
+  await Playlist.updateMany(
+    { videos: video._id },
+    { $pull: { videos: video._id } }
+  );
+
+  // Remove the stored media from whichever backend holds it
+  await Promise.all([deleteFile(video.videoFile), deleteFile(video.thumbnail)]);
+
+  // Last, so a removal that fails part-way can be retried on the same video
+  await video.deleteOne();
+};
+
+/**
+ * Delete a community post with its comments, reactions, notifications and image.
+ * @param {Object} post - The post document.
+ */
+const removePost = async (post) => {
+  const commentIds = await Comment.find({ post: post._id }).distinct("_id");
+  await Like.deleteMany({
+    $or: [
+      { targetType: "Post", target: post._id },
+      { targetType: "Comment", target: { $in: commentIds } },
+    ],
+  });
+  await Comment.deleteMany({ post: post._id });
+  await Notification.deleteMany({ post: post._id });
+  await deleteFile(post.image);
+
+  await post.deleteOne();
+};
+
+export { removeComment, removeVideo, removePost };
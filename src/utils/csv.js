@@ -0,0 +1,30 @@
+// Characters that make spreadsheet apps treat a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value for CSV, neutralising formulas in user-provided text
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document from a list of objects.
+ * @param {Array} rows - The records to export.
+ * @param {Array} columns - [{ key, header }] in output order.
+ * @returns {String} - CSV text with a header row and CRLF line endings.
+ */
+const toCsv = (rows, columns) =>
+  [
+    columns.map((column) => escapeCsvValue(column.header)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCsvValue(row[column.key])).join(",")
+    ),
+  ].join("\r\n") + "\r\n";
+
+export { toCsv };
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+import { ApiError } from "./ApiError.js";
+
+/**
+ * Encode the sort position of a document as an opaque cursor.
+ * @param {Object} doc - A document with createdAt and _id.
+ * @returns {String} - base64url cursor.
+ */
+const encodeCursor = (doc) =>
+  Buffer.from(`${doc.createdAt.toISOString()}_${doc._id}`).toString(
+    "base64url"
+  );
+
+/**
+ * Decode a cursor produced by encodeCursor.
+ * @param {String} cursor - The cursor sent by the client.
+ * @returns {Object} - { createdAt, _id }.
+ */
+const decodeCursor = (cursor) => {
+  const [timestamp, id] = Buffer.from(cursor, "base64url")
+    .toString()
+    .split("_");
+  const createdAt = new Date(timestamp);
+
+  if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) {
+    throw new ApiError(400, "Invalid cursor");
+  }
+
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// Filter for documents after (newer: true) or before a cursor in createdAt/_id order
+const cursorFilter = ({ createdAt, _id }, newer = false) => {
+  const op = newer ? "$gt" : "$lt";
+  return {
+    $or: [
+      { createdAt: { [op]: createdAt } },
+      { createdAt, _id: { [op]: _id } },
+    ],
+  };
+};
+
+export { encodeCursor, decodeCursor, cursorFilter };
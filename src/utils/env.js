@@ -0,0 +1,52 @@
+import { getStorage } from "./storage/index.js";
+
+// Needed in every setup
+const REQUIRED_ENV = [
+  "MONGODB_URI",
+  "ACCESS_TOKEN_SECRET",
+  "ACCESS_TOKEN_EXPIRY",
+  "REFRESH_TOKEN_SECRET",
+  "REFRESH_TOKEN_EXPIRY",
+  "TWO_FACTOR_ENCRYPTION_KEY",
+];
+
+// Needed only by the storage driver that uses them
+const STORAGE_ENV = {
+  cloudinary: [
+    "CLOUDINARY_CLOUD_NAME",
+    "CLOUDINARY_API_KEY",
+    "CLOUDINARY_API_SECRET",
+  ],
+};
+
+/**
+ * Make sure the environment has everything the server needs, before it starts.
+ * @throws {Error} - Listing every missing or invalid variable.
+ */
+const validateEnv = () => {
+  const problems = [];
+
+  let storageDriver;
+  try {
+    storageDriver = getStorage().name;
+  } catch (error) {
+    problems.push(error.message);
+  }
+
+  const required = [...REQUIRED_ENV, ...(STORAGE_ENV[storageDriver] || [])];
+  const missing = required.filter((name) => !process.env[name]?.trim());
+  if (missing.length) {
+    problems.push(`Missing environment variables: ${missing.join(", ")}`);
+  }
+
+  // The console transport is the default, production must pick a real one
+  if (process.env.NODE_ENV === "production" && !process.env.MAIL_TRANSPORT) {
+    problems.push("MAIL_TRANSPORT must be set in production");
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid environment. ${problems.join(". ")}`);
+  }
+};
+
+export { validateEnv };
@@ -0,0 +1,83 @@
+import fs from "fs/promises";
+
+// Accepted MIME types per kind of file, with the extension stored files get
+const ALLOWED_TYPES = {
+  image: {
+    "image/jpeg": ".jpg",
+    "image/png": ".png",
+    "image/webp": ".webp",
+    "image/gif": ".gif",
+  },
+  video: {
+    "video/mp4": ".mp4",
+    "video/webm": ".webm",
+    "video/quicktime": ".mov",
+    "video/x-matroska": ".mkv",
+  },
+};
+
+// Kind of file each multipart field accepts
+const FIELD_KINDS = {
+  avatar: "image",
+  coverImage: "image",
+  thumbnail: "image",
+  image: "image",
+  videoFile: "video",
+};
+
+// Leading bytes ("magic numbers") of each accepted format
+const SIGNATURES = {
+  "image/jpeg": (bytes) =>
+    bytes.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  "image/png": (bytes) =>
+    bytes.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex")),
+  "image/gif": (bytes) => bytes.subarray(0, 4).toString("latin1") === "GIF8",
+  "image/webp": (bytes) =>
+    bytes.subarray(0, 4).toString("latin1") === "RIFF" &&
+    bytes.subarray(8, 12).toString("latin1") === "WEBP",
+  "video/mp4": (bytes) => bytes.subarray(4, 8).toString("latin1") === "ftyp",
+  "video/quicktime": (bytes) =>
+    ["ftyp", "moov", "mdat", "wide", "free"].includes(
+      bytes.subarray(4, 8).toString("latin1")
+    ),
+  "video/webm": (bytes) =>
+    bytes.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])),
+  "video/x-matroska": (bytes) =>
+    bytes.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])),
+};
+
+const isAllowedType = (kind, mimeType) =>
+  Boolean(ALLOWED_TYPES[kind]?.[mimeType]);
+
+const extensionFor = (mimeType) =>
+  Object.values(ALLOWED_TYPES).find((types) => types[mimeType])?.[mimeType] ||
+  "";
+
+/**
+ * Check that a file's content starts like the format it claims to be.
+ * The MIME type sent by the client is only a hint and easy to fake.
+ * @param {String} filePath - Path of the file on disk.
+ * @param {String} mimeType - The declared MIME type.
+ * @returns {Boolean} - true when the signature matches.
+ */
+const hasValidSignature = async (filePath, mimeType) => {
+  const matches = SIGNATURES[mimeType];
+  if (!matches) return false;
+
+  const file = await fs.open(filePath, "r");
+  try {
+    const bytes = Buffer.alloc(16);
+    await file.read(bytes, 0, bytes.length, 0);
+    return matches(bytes);
+  } finally {
+    await file.close();
+  }
+};
+
+export {
+  ALLOWED_TYPES,
+  FIELD_KINDS,
+  isAllowedType,
+  extensionFor,
+  hasValidSignature,
+};
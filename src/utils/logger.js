@@ -0,0 +1,90 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+/*
+ * Structured logger: one JSON object per line on stdout, e.g.
+ *   {"time":"...","level":"info","msg":"Request completed","requestId":"...",...}
+ * Lines below LOG_LEVEL (info by default) are dropped. While a request is
+ * handled its id is added to every line, see runWithLogContext.
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Values of matching keys are never written out
+const SENSITIVE_KEY_PATTERN =
+  /pass(word)?$|token|secret|authorization|cookie|recoverycode|api_?key|otp/i;
+
+const REDACTED = "[REDACTED]";
+
+// Nested objects deeper than this are cut off
+const MAX_DEPTH = 6;
+
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with fields that are added to every line logged within it,
+ * including from async work it starts.
+ * @param {Object} fields - e.g. { requestId }.
+ * @param {Function} fn - The function to run.
+ * @returns {*} - Whatever fn returns.
+ */
+const runWithLogContext = (fields, fn) => logContext.run(fields, fn);
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.statusCode !== undefined && { statusCode: error.statusCode }),
+  stack: error.stack,
+});
+
+/**
+ * Copy a value for logging with sensitive fields replaced.
+ * @param {*} value - Anything that should end up in a log line.
+ * @returns {*} - A JSON-safe copy.
+ */
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[Object]";
+
+  // Dates, ObjectIds and documents log the way they serialize
+  if (typeof value.toJSON === "function") {
+    const json = value.toJSON();
+    return json === value ? json : redact(json, depth + 1);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEY_PATTERN.test(key)
+      ? REDACTED
+      : redact(item, depth + 1);
+  }
+  return copy;
+};
+
+const getMinLevel = () => LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < getMinLevel()) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...logContext.getStore(),
+    ...redact(fields),
+  };
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+};
+
+const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+export { logger, redact, runWithLogContext };
@@ -0,0 +1,34 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { logger } from "../logger.js";
+
+// Writes every message to MAIL_OUTPUT_DIR as json so flows can be run locally
+const fileTransport = {
+  name: "file",
+
+  async send(message) {
+    const dir = path.resolve(process.env.MAIL_OUTPUT_DIR || "./public/mail");
+    await fs.mkdir(dir, { recursive: true });
+
+    const file = path.join(dir, `${Date.now()}-${crypto.randomUUID()}.json`);
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+    return { file };
+  },
+};
+
+// Logs that a message would be sent. The body holds live verification and
+// reset links, so it is left out; use the file transport to read them.
+const consoleTransport = {
+  name: "console",
+
+  async send(message) {
+    logger.info("Mail", {
+      to: message.to,
+      subject: message.subject,
+    });
+    return {};
+  },
+};
+
+export { fileTransport, consoleTransport };
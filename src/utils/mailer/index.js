@@ -0,0 +1,41 @@
+import { smtpTransport } from "./smtp.transport.js";
+import { consoleTransport, fileTransport } from "./file.transport.js";
+
+/*
+ * Mail transports. Every transport implements send(message) where message is
+ * { from, to, subject, text, html }. The active one is picked with
+ * MAIL_TRANSPORT (smtp, file or console; console by default).
+ */
+const transports = {
+  [smtpTransport.name]: smtpTransport,
+  [fileTransport.name]: fileTransport,
+  [consoleTransport.name]: consoleTransport,
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || consoleTransport.name;
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+  return transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return await getTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+// Links in emails point to the frontend, which calls the api with the token
+const buildClientUrl = (pathname, params = {}) => {
+  const base = process.env.CLIENT_URL || process.env.CORS_ORIGIN || "";
+  const query = new URLSearchParams(params).toString();
+  return `${base.replace(/\/+$/, "")}${pathname}${query ? `?${query}` : ""}`;
+};
+
+export { sendMail, buildClientUrl };
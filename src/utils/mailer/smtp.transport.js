@@ -0,0 +1,28 @@
+import nodemailer from "nodemailer";
+
+let transporter;
+
+// created lazily so the app can boot without SMTP settings when unused
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+const smtpTransport = {
+  name: "smtp",
+
+  async send(message) {
+    return await getTransporter().sendMail(message);
+  },
+};
+
+export { smtpTransport };
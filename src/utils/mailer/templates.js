@@ -0,0 +1,27 @@
+// Plain text + html bodies for the transactional emails we send
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Values like fullname are user input, they must not become markup
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const verificationEmail = (user, link) => ({
+  subject: "Verify your email address",
+  text: `Hi ${user.fullname},\n\nConfirm your email address by opening the link below:\n${link}\n\nIf you did not create an account you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(user.fullname)},</p><p>Confirm your email address by opening the link below:</p><p><a href="${escapeHtml(link)}">Verify email</a></p><p>If you did not create an account you can ignore this email.</p>`,
+});
+
+const passwordResetEmail = (user, link) => ({
+  subject: "Reset your password",
+  text: `Hi ${user.fullname},\n\nReset your password by opening the link below:\n${link}\n\nIf you did not ask for a password reset you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(user.fullname)},</p><p>Reset your password by opening the link below:</p><p><a href="${escapeHtml(link)}">Reset password</a></p><p>If you did not ask for a password reset you can ignore this email.</p>`,
+});
+
+export { escapeHtml, verificationEmail, passwordResetEmail };
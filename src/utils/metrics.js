@@ -0,0 +1,159 @@
+/*
+ * In-process metrics, served at /metrics in the Prometheus text format.
+ * Every metric lives until the process exits, so label values must come
+ * from small fixed sets (route patterns, not urls).
+ */
+const registry = [];
+
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+// Series are keyed by their label values in labelNames order
+const seriesKey = (labelNames, labels) =>
+  JSON.stringify(labelNames.map((name) => labels[name] ?? ""));
+
+const seriesLabels = (labelNames, key) =>
+  Object.fromEntries(
+    JSON.parse(key).map((value, index) => [labelNames[index], value])
+  );
+
+/**
+ * A value that only goes up, e.g. handled requests.
+ * @param {Object} options - { name, help, labelNames }.
+ * @returns {Object} - { inc(labels, amount) }.
+ */
+const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of series) {
+        lines.push(
+          `${name}${formatLabels(seriesLabels(labelNames, key))} ${value}`
+        );
+      }
+      return lines;
+    },
+  };
+
+  registry.push(metric);
+  return metric;
+};
+
+/**
+ * Counts observations into buckets, e.g. request durations in seconds.
+ * @param {Object} options - { name, help, labelNames, buckets }.
+ * @returns {Object} - { observe(labels, value), startTimer(labels) }.
+ */
+const createHistogram = ({ name, help, labelNames = [], buckets }) => {
+  const series = new Map();
+
+  const metric = {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+
+    // Returns a function that observes the seconds elapsed since the call,
+    // with extra labels known only at the end (e.g. the outcome)
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (endLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        metric.observe({ ...labels, ...endLabels }, seconds);
+        return seconds;
+      };
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, entry] of series) {
+        const labels = seriesLabels(labelNames, key);
+        buckets.forEach((bound, index) => {
+          lines.push(
+            `${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`
+          );
+        });
+        lines.push(
+          `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${entry.count}`,
+          `${name}_sum${formatLabels(labels)} ${entry.sum}`,
+          `${name}_count${formatLabels(labels)} ${entry.count}`
+        );
+      }
+      return lines;
+    },
+  };
+
+  registry.push(metric);
+  return metric;
+};
+
+/**
+ * All metrics in the Prometheus text exposition format.
+ * @returns {String}
+ */
+const renderMetrics = () =>
+  `${registry.flatMap((metric) => metric.render()).join("\n")}\n`;
+
+const httpRequestsTotal = createCounter({
+  name: "http_requests_total",
+  help: "HTTP requests handled, by route and status",
+  labelNames: ["method", "route", "status"],
+});
+
+const httpRequestDuration = createHistogram({
+  name: "http_request_duration_seconds",
+  help: "Time to respond to HTTP requests, by route and status",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+});
+
+const uploadDuration = createHistogram({
+  name: "storage_upload_duration_seconds",
+  help: "Time to move uploaded files into storage, by driver and outcome",
+  labelNames: ["driver", "outcome"],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+});
+
+const dbCommandDuration = createHistogram({
+  name: "mongodb_command_duration_seconds",
+  help: "Time of MongoDB commands, by command and outcome",
+  labelNames: ["command", "outcome"],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+});
+
+export {
+  createCounter,
+  createHistogram,
+  renderMetrics,
+  httpRequestsTotal,
+  httpRequestDuration,
+  uploadDuration,
+  dbCommandDuration,
+};
@@ -0,0 +1,87 @@
+import { EventEmitter } from "events";
+import { Notification } from "../models/notification.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { logger } from "./logger.js";
+
+// Subscribers are loaded and notified in batches so huge channels don't hold
+// thousands of documents in memory at once
+const FANOUT_BATCH_SIZE = 500;
+
+// Live listeners (SSE streams) keyed by recipient id. This is in-process only:
+// with several app instances, each one pushes to the streams it holds.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Listen for new notifications of a user.
+ * @param {String} userId - The recipient to listen for.
+ * @param {Function} listener - Called with each new notification.
+ * @returns {Function} - Removes the listener.
+ */
+const onNotification = (userId, listener) => {
+  const event = String(userId);
+  emitter.on(event, listener);
+  return () => emitter.off(event, listener);
+};
+
+const publish = (notifications) => {
+  for (const notification of notifications) {
+    emitter.emit(String(notification.recipient), notification);
+  }
+};
+
+/**
+ * Store a notification and push it to the recipient's live streams.
+ * Notifications are a side effect: failures are logged, never thrown.
+ * Nobody is notified about their own actions.
+ * @param {Object} data - recipient, actor, type and the related video/comment/post.
+ */
+const notify = async (data) => {
+  if (!data.recipient || data.actor.equals?.(data.recipient)) return;
+
+  try {
+    const notification = await Notification.create(data);
+    publish([notification]);
+  } catch (error) {
+    logger.error("Failed to create notification", {
+      type: data.type,
+      error,
+    });
+  }
+};
+
+/**
+ * Notify every subscriber of a channel, in the background.
+ * Returns immediately so the triggering request isn't held up by fan-out.
+ * @param {ObjectId} channelId - The channel whose subscribers are notified.
+ * @param {Object} data - type and the related video/post; the channel is the actor.
+ */
+const notifySubscribers = (channelId, data) => {
+  setImmediate(async () => {
+    try {
+      const subscriptions = Subscription.find({ channel: channelId })
+        .select("subscriber")
+        .lean()
+        .cursor({ batchSize: FANOUT_BATCH_SIZE });
+
+      let batch = [];
+      const flush = async () => {
+        const notifications = await Notification.insertMany(batch, {
+          ordered: false,
+        });
+        publish(notifications);
+        batch = [];
+      };
+
+      for await (const { subscriber } of subscriptions) {
+        batch.push({ ...data, recipient: subscriber, actor: channelId });
+        if (batch.length >= FANOUT_BATCH_SIZE) await flush();
+      }
+      if (batch.length) await flush();
+    } catch (error) {
+      logger.error("Failed to notify subscribers", { channelId, error });
+    }
+  });
+};
+
+export { notify, notifySubscribers, onNotification };
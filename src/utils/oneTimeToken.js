@@ -0,0 +1,130 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { OneTimeToken } from "../models/oneTimeToken.model.js";
+import { ApiError } from "./ApiError.js";
+
+// Read on use, the environment isn't loaded yet when this module is imported
+const getTokenExpiry = (purpose) =>
+  ({
+    "email-verification": process.env.EMAIL_VERIFICATION_TOKEN_EXPIRY || "1d",
+    "password-reset": process.env.PASSWORD_RESET_TOKEN_EXPIRY || "30m",
+    "two-factor-login": process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m",
+  })[purpose];
+
+const getSecret = () =>
+  process.env.EMAIL_TOKEN_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+/**
+ * Issue a signed, expiring, single-use token. Older unused tokens of the same
+ * purpose are invalidated so only the latest email link (or login challenge) works.
+ * @param {String} userId - The ID of the user the token is for.
+ * @param {String} purpose - "email-verification", "password-reset" or "two-factor-login".
+ * @returns {String} - The signed token.
+ */
+const issueOneTimeToken = async (userId, purpose) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign({ _id: userId, purpose }, getSecret(), {
+    expiresIn: getTokenExpiry(purpose),
+    jwtid: jti,
+  });
+
+  await revokeOneTimeTokens(userId, purpose);
+  await OneTimeToken.create({
+    user: userId,
+    purpose,
+    jti,
+    expiresAt: new Date(jwt.decode(token).exp * 1000),
+  });
+
+  return token;
+};
+
+/**
+ * Invalidate every unused token of a purpose, e.g. outstanding login challenges.
+ * @param {String} userId - The ID of the user.
+ * @param {String} purpose - The purpose of the tokens.
+ */
+const revokeOneTimeTokens = async (userId, purpose) => {
+  await OneTimeToken.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+};
+
+// Check the signature and purpose of a token, returns its payload
+const decodeOneTimeToken = (token, purpose) => {
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(token, getSecret());
+  } catch (error) {
+    throw new ApiError(400, "Invalid or expired token");
+  }
+
+  if (decodedToken.purpose !== purpose || !decodedToken.jti) {
+    throw new ApiError(400, "Invalid or expired token");
+  }
+
+  return decodedToken;
+};
+
+/**
+ * The user a token was signed for, without looking it up. Only the signature
+ * and purpose are checked, so it may already be used.
+ * @param {String} token - The signed token.
+ * @param {String} purpose - The purpose the token must have been issued for.
+ * @returns {String|null} - The user ID, or null for an invalid token.
+ */
+const getOneTimeTokenUser = (token, purpose) => {
+  try {
+    return decodeOneTimeToken(token, purpose)._id;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Verify a token without using it up, for flows that check more input
+ * (like a two-factor code) before consuming it.
+ * @param {String} token - The signed token.
+ * @param {String} purpose - The purpose the token must have been issued for.
+ * @returns {String} - The ID of the user the token was issued to.
+ */
+const verifyOneTimeToken = async (token, purpose) => {
+  const { jti } = decodeOneTimeToken(token, purpose);
+
+  const record = await OneTimeToken.findOne({ jti, purpose, usedAt: null });
+  if (!record) {
+    throw new ApiError(400, "Token is no longer valid");
+  }
+
+  return record.user;
+};
+
+/**
+ * Verify a token and mark it as used.
+ * @param {String} token - The signed token from the email link.
+ * @param {String} purpose - The purpose the token must have been issued for.
+ * @returns {String} - The ID of the user the token was issued to.
+ */
+const consumeOneTimeToken = async (token, purpose) => {
+  const { jti } = decodeOneTimeToken(token, purpose);
+
+  // Atomic so the same link can't be used twice in parallel
+  const record = await OneTimeToken.findOneAndUpdate(
+    { jti, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!record) {
+    throw new ApiError(400, "Token is no longer valid");
+  }
+
+  return record.user;
+};
+
+export {
+  issueOneTimeToken,
+  revokeOneTimeTokens,
+  getOneTimeTokenUser,
+  verifyOneTimeToken,
+  consumeOneTimeToken,
+};
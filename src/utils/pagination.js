@@ -0,0 +1,11 @@
+// Normalizes page/limit query params into options for aggregatePaginate
+const getPaginationOptions = (query = {}, maxLimit = 50) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || 10, 1),
+    maxLimit
+  );
+  return { page, limit };
+};
+
+export { getPaginationOptions };
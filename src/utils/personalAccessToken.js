@@ -0,0 +1,66 @@
+import crypto from "crypto";
+import { PersonalAccessToken } from "../models/personalAccessToken.model.js";
+
+// Tokens are recognisable at a glance (and by secret scanners)
+const TOKEN_PREFIX = "pat_";
+
+// lastUsedAt is only written once per interval to spare the database
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// 32 random bytes, so a fast hash is sufficient
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const isPersonalAccessToken = (token) =>
+  typeof token === "string" && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Create a personal access token for a user.
+ * @param {Object} user - The user the token acts as.
+ * @param {Object} options - name, scopes and an optional expiresAt date.
+ * @returns {Object} - { token, record }; the token is not stored and can't be shown again.
+ */
+const createPersonalAccessToken = async (user, { name, scopes, expiresAt }) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+  const record = await PersonalAccessToken.create({
+    user: user._id,
+    name,
+    scopes,
+    expiresAt: expiresAt || null,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+  });
+
+  return { token, record };
+};
+
+/**
+ * Look up an active personal access token and record that it was used.
+ * @param {String} token - The token presented by the client.
+ * @returns {Object|null} - The token document, or null when unknown or expired.
+ */
+const findPersonalAccessToken = async (token) => {
+  const record = await PersonalAccessToken.findOne({
+    tokenHash: hashToken(token),
+  });
+  if (!record?.isActive()) return null;
+
+  if (
+    !record.lastUsedAt ||
+    Date.now() - record.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS
+  ) {
+    await PersonalAccessToken.updateOne(
+      { _id: record._id },
+      { $set: { lastUsedAt: new Date() } }
+    );
+  }
+
+  return record;
+};
+
+export {
+  isPersonalAccessToken,
+  createPersonalAccessToken,
+  findPersonalAccessToken,
+};
@@ -0,0 +1,34 @@
+import { createMemoryStore } from "./memory.store.js";
+import { createMongoStore } from "./mongo.store.js";
+
+/*
+ * Attempt counter stores used by the rate limiter. Every store implements:
+ *   get(key)                  -> { count, resetAt, lockedUntil } | null
+ *   increment(key, windowMs)  -> the updated record, a new window starts when
+ *                                the previous one is over
+ *   decrement(key)            -> take back one attempt of the live window
+ *   lock(key, lockedUntil, keepUntil)
+ *                             -> block the key until lockedUntil and keep its
+ *                                count at least until keepUntil
+ *   reset(key)                -> forget the key
+ * The store is picked with RATE_LIMIT_STORE (memory or mongo; memory by default).
+ */
+const factories = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+let store;
+
+const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || "memory";
+    if (!factories[name]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+    }
+    store = factories[name]();
+  }
+  return store;
+};
+
+export { getRateLimitStore };
@@ -0,0 +1,56 @@
+// Keeps counters in process memory, fine for a single instance
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const getLive = (key) => {
+    const record = records.get(key);
+    if (record && record.resetAt <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  // drop expired counters now and then so the map doesn't grow forever
+  setInterval(() => {
+    for (const key of records.keys()) getLive(key);
+  }, 60 * 1000).unref();
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const record = getLive(key);
+      return record && { ...record }; // a snapshot, later updates don't show
+    },
+
+    async increment(key, windowMs) {
+      const record = getLive(key) || {
+        count: 0,
+        resetAt: new Date(Date.now() + windowMs),
+        lockedUntil: null,
+      };
+      record.count += 1;
+      records.set(key, record);
+      return { ...record };
+    },
+
+    async decrement(key) {
+      const record = getLive(key);
+      if (record && record.count > 0) record.count -= 1;
+    },
+
+    async lock(key, lockedUntil, keepUntil = lockedUntil) {
+      const record = getLive(key);
+      if (!record) return;
+      record.lockedUntil = lockedUntil;
+      if (record.resetAt < keepUntil) record.resetAt = keepUntil;
+    },
+
+    async reset(key) {
+      records.delete(key);
+    },
+  };
+};
+
+export { createMemoryStore };
@@ -0,0 +1,60 @@
+import { RateLimit } from "../../models/rateLimit.model.js";
+
+// Shares counters between instances through MongoDB
+const createMongoStore = () => ({
+  name: "mongo",
+
+  async get(key) {
+    return await RateLimit.findOne({ key, resetAt: { $gt: new Date() } })
+      .select("count resetAt lockedUntil")
+      .lean();
+  },
+
+  async increment(key, windowMs) {
+    const now = new Date();
+    const isLive = { $gt: ["$resetAt", now] };
+
+    // one atomic update: bump a live counter or start a new window
+    return await RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [isLive, { $add: ["$count", 1] }, 1] },
+            lockedUntil: { $cond: [isLive, "$lockedUntil", null] },
+            resetAt: {
+              $cond: [isLive, "$resetAt", new Date(now.getTime() + windowMs)],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    )
+      .select("count resetAt lockedUntil")
+      .lean();
+  },
+
+  async decrement(key) {
+    await RateLimit.updateOne(
+      { key, count: { $gt: 0 }, resetAt: { $gt: new Date() } },
+      { $inc: { count: -1 } }
+    );
+  },
+
+  async lock(key, lockedUntil, keepUntil = lockedUntil) {
+    await RateLimit.updateOne({ key }, [
+      {
+        $set: {
+          lockedUntil,
+          resetAt: { $max: ["$resetAt", keepUntil] },
+        },
+      },
+    ]);
+  },
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  },
+});
+
+export { createMongoStore };
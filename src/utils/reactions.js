@@ -0,0 +1,42 @@
+// Aggregation stages that add likesCount, dislikesCount and viewerReaction
+// ("like", "dislike" or null) to documents of the given Like targetType.
+// viewerId is the current user's ObjectId, or undefined for anonymous viewers.
+const reactionStages = (targetType, viewerId) => [
+  {
+    $lookup: {
+      from: "likes",
+      localField: "_id",
+      foreignField: "target",
+      as: "reactions",
+      pipeline: [
+        { $match: { targetType } },
+        {
+          $group: {
+            _id: null,
+            likes: { $sum: { $cond: [{ $eq: ["$type", "like"] }, 1, 0] } },
+            dislikes: {
+              $sum: { $cond: [{ $eq: ["$type", "dislike"] }, 1, 0] },
+            },
+            viewerReaction: {
+              $max: {
+                $cond: [{ $eq: ["$user", viewerId ?? null] }, "$type", null],
+              },
+            },
+          },
+        },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      likesCount: { $ifNull: [{ $first: "$reactions.likes" }, 0] },
+      dislikesCount: { $ifNull: [{ $first: "$reactions.dislikes" }, 0] },
+      viewerReaction: {
+        $ifNull: [{ $first: "$reactions.viewerReaction" }, null],
+      },
+    },
+  },
+  { $project: { reactions: 0 } },
+];
+
+export { reactionStages };
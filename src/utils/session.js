@@ -0,0 +1,115 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { Session } from "../models/session.model.js";
+import { ApiError } from "./ApiError.js";
+
+// Refresh tokens are random enough that a fast hash is sufficient
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// The device a request comes from, stored for the session listing
+const getClientInfo = (req) => ({
+  userAgent: req.get("user-agent")?.slice(0, 512) || "",
+  ip: req.ip || "",
+});
+
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+/**
+ * Start a new session for the user on the requesting device.
+ * @param {Object} user - User document.
+ * @param {Object} req - Express request object (user agent and ip are recorded).
+ * @returns {Object} - Contains the accessToken, refreshToken and session.
+ */
+const createSession = async (user, req) => {
+  const session = new Session({ user: user._id, ...getClientInfo(req) });
+
+  const accessToken = user.generateAccessToken(session._id);
+  const refreshToken = user.generateRefreshToken(session._id);
+
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.expiresAt = getTokenExpiry(refreshToken);
+  await session.save();
+
+  return { accessToken, refreshToken, session };
+};
+
+/**
+ * Swap a refresh token for a new pair. Presenting a token that was already
+ * rotated means it leaked, so the whole session is revoked.
+ * @param {Object} user - User document the token belongs to.
+ * @param {String} sessionId - The "sid" claim of the incoming refresh token.
+ * @param {String} incomingRefreshToken - The refresh token sent by the client.
+ * @param {Object} req - Express request object.
+ * @returns {Object} - Contains the new accessToken and refreshToken.
+ */
+const rotateSession = async (user, sessionId, incomingRefreshToken, req) => {
+  if (!sessionId) {
+    throw new ApiError(401, "Refresh token is not bound to a session");
+  }
+
+  const accessToken = user.generateAccessToken(sessionId);
+  const refreshToken = user.generateRefreshToken(sessionId);
+
+  // Only succeeds when the incoming token is the latest one of a live session
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      user: user._id,
+      refreshTokenHash: hashToken(incomingRefreshToken),
+      revokedAt: null,
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: getTokenExpiry(refreshToken),
+        lastUsedAt: new Date(),
+        ...getClientInfo(req),
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const revoked = await revokeSessions(
+      { _id: sessionId, user: user._id },
+      "reuse"
+    );
+    throw new ApiError(
+      401,
+      revoked
+        ? "Refresh token reuse detected, session has been revoked"
+        : "Refresh token is expired or does not match"
+    );
+  }
+
+  return { accessToken, refreshToken };
+};
+
+/**
+ * Revoke every live session matching the filter.
+ * @param {Object} filter - Session query, e.g. { _id } or { user }.
+ * @param {String} reason - Why the sessions were revoked.
+ * @returns {Number} - How many sessions were revoked.
+ */
+const revokeSessions = async (filter, reason = "revoked") => {
+  const result = await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// Access tokens stay valid only while their session is live
+const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) return false;
+  const session = await Session.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(session);
+};
+
+export { createSession, rotateSession, revokeSessions, isSessionActive };
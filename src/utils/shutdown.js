@@ -0,0 +1,71 @@
+import { EventEmitter } from "events";
+import mongoose from "mongoose";
+import { logger } from "./logger.js";
+
+// In-flight requests get this long to finish before connections are cut
+const getShutdownTimeoutMs = () =>
+  Number(process.env.SHUTDOWN_TIMEOUT_MS) || 25 * 1000;
+
+// Keep-alive connections are closed as soon as they go idle
+const IDLE_SWEEP_INTERVAL_MS = 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one per open notification stream
+
+let shuttingDown = false;
+
+const isShuttingDown = () => shuttingDown;
+
+/**
+ * Run a listener when shutdown starts, e.g. to end a long-lived response.
+ * @param {Function} listener - Called without arguments.
+ * @returns {Function} - Removes the listener again.
+ */
+const onShutdown = (listener) => {
+  emitter.on("shutdown", listener);
+  return () => emitter.off("shutdown", listener);
+};
+
+/**
+ * Stop gracefully on SIGTERM and SIGINT: stop accepting connections, let
+ * in-flight requests finish, then close the MongoDB connection and exit.
+ * @param {Object} server - The http server returned by app.listen.
+ */
+const registerGracefulShutdown = (server) => {
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info("Shutting down", { signal });
+
+    const closed = new Promise((resolve) => server.close(resolve));
+    emitter.emit("shutdown");
+
+    const idleSweep = setInterval(
+      () => server.closeIdleConnections(),
+      IDLE_SWEEP_INTERVAL_MS
+    );
+    const forceClose = setTimeout(() => {
+      logger.warn("Requests still running at shutdown timeout, closing them");
+      server.closeAllConnections();
+    }, getShutdownTimeoutMs());
+
+    try {
+      server.closeIdleConnections();
+      await closed;
+      clearInterval(idleSweep);
+      clearTimeout(forceClose);
+
+      await mongoose.disconnect();
+      logger.info("Shutdown complete");
+      process.exit(0);
+    } catch (error) {
+      logger.error("Shutdown failed", { error });
+      process.exit(1);
+    }
+  };
+
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+};
+
+export { isShuttingDown, onShutdown, registerGracefulShutdown };
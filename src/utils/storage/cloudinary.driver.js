@@ -0,0 +1,58 @@
+import {
+  deleteFromCloudinary,
+  getCloudinaryUrl,
+  pingCloudinary,
+  uploadOnCloudinary,
+} from "../cloudinary.js";
+
+// e.g. https://res.cloudinary.com/<cloud>/video/upload/v1712345/abc123.mp4
+const CLOUDINARY_URL_PATTERN =
+  /res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+?)(?:\.[^./]+)?$/;
+
+const parseUrl = (url) => {
+  const match = CLOUDINARY_URL_PATTERN.exec(url || "");
+  if (!match) return null;
+  return { resourceType: match[1], publicId: match[2] };
+};
+
+const cloudinaryDriver = {
+  name: "cloudinary",
+
+  async upload(localFilePath) {
+    const response = await uploadOnCloudinary(localFilePath);
+    if (!response) return null;
+
+    return {
+      url: response.secure_url || response.url,
+      key: response.public_id,
+      resourceType: response.resource_type,
+      duration: response.duration, // only set for audio/video
+      bytes: response.bytes,
+    };
+  },
+
+  async delete(url) {
+    const asset = parseUrl(url);
+    if (!asset) return false;
+
+    const result = await deleteFromCloudinary(
+      asset.publicId,
+      asset.resourceType
+    );
+    return result?.result === "ok";
+  },
+
+  getUrl(key, resourceType = "image") {
+    return getCloudinaryUrl(key, resourceType);
+  },
+
+  owns(url) {
+    return Boolean(parseUrl(url));
+  },
+
+  async check() {
+    return await pingCloudinary();
+  },
+};
+
+export { cloudinaryDriver };
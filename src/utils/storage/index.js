@@ -0,0 +1,78 @@
+import { cloudinaryDriver } from "./cloudinary.driver.js";
+import { localDriver } from "./local.driver.js";
+import { logger } from "../logger.js";
+import { uploadDuration } from "../metrics.js";
+
+/*
+ * Media storage backends. Every driver implements:
+ *   upload(localFilePath) -> { url, key, bytes, duration? } | null
+ *     moves the temp file into the backend, the temp file is always removed
+ *   delete(url)           -> true when the asset was removed
+ *   getUrl(key)           -> public url of a stored asset
+ *   owns(url)             -> whether the url points into this backend
+ *   check()               -> true when the backend can be used (readiness)
+ * The active driver is picked with STORAGE_DRIVER (cloudinary by default).
+ */
+const drivers = {
+  [cloudinaryDriver.name]: cloudinaryDriver,
+  [localDriver.name]: localDriver,
+};
+
+const getStorage = () => {
+  const name = process.env.STORAGE_DRIVER || cloudinaryDriver.name;
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+  }
+  return driver;
+};
+
+const uploadFile = async (localFilePath) => {
+  if (!localFilePath) return null;
+
+  const driver = getStorage();
+  const endTimer = uploadDuration.startTimer({ driver: driver.name });
+  try {
+    const result = await driver.upload(localFilePath);
+    endTimer({ outcome: result ? "success" : "failure" });
+    return result;
+  } catch (error) {
+    endTimer({ outcome: "failure" });
+    throw error;
+  }
+};
+
+// Assets are removed from whichever backend holds them, so urls written
+// before a STORAGE_DRIVER switch can still be cleaned up
+const deleteFile = async (url) => {
+  if (!url) return false;
+
+  const driver = Object.values(drivers).find((d) => d.owns(url));
+  if (!driver) return false;
+
+  try {
+    return await driver.delete(url);
+  } catch (error) {
+    // a failed cleanup must never fail the request that triggered it
+    logger.error("Failed to delete stored file", {
+      url,
+      driver: driver.name,
+      error,
+    });
+    return false;
+  }
+};
+
+const getFileUrl = (key, ...args) => getStorage().getUrl(key, ...args);
+
+// Whether the active backend is usable, failures count as not usable
+const checkStorage = async () => {
+  try {
+    return Boolean(await getStorage().check());
+  } catch (error) {
+    logger.warn("Storage check failed", { error });
+    return false;
+  }
+};
+
+export { getStorage, uploadFile, deleteFile, getFileUrl, checkStorage };
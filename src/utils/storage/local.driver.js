@@ -0,0 +1,78 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Files are kept under public/uploads and served by express.static in app.js
+const UPLOADS_ROUTE = "/uploads";
+const STORAGE_DIR = path.resolve("./public/uploads");
+
+// Optional origin (e.g. http://localhost:8000) to store absolute urls, read
+// on use because the environment isn't loaded yet when this module is imported
+const getBaseUrl = () =>
+  `${(process.env.LOCAL_STORAGE_BASE_URL || "").replace(/\/+$/, "")}${UPLOADS_ROUTE}`;
+
+const moveFile = async (from, to) => {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    // rename can't cross devices, fall back to copy + delete
+    if (error.code !== "EXDEV") throw error;
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+};
+
+const localDriver = {
+  name: "local",
+
+  async upload(localFilePath) {
+    if (!localFilePath) return null;
+
+    try {
+      await fs.mkdir(STORAGE_DIR, { recursive: true });
+      const key = `${crypto.randomUUID()}${path.extname(localFilePath).toLowerCase()}`;
+      await moveFile(localFilePath, path.join(STORAGE_DIR, key));
+      const { size } = await fs.stat(path.join(STORAGE_DIR, key));
+
+      return { url: this.getUrl(key), key, bytes: size };
+    } catch (error) {
+      await fs.unlink(localFilePath).catch(() => {});
+      return null;
+    }
+  },
+
+  async delete(url) {
+    if (!this.owns(url)) return false;
+
+    // basename() keeps a crafted url from escaping the storage directory
+    const key = path.basename(url.slice(getBaseUrl().length + 1));
+    try {
+      await fs.unlink(path.join(STORAGE_DIR, key));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  },
+
+  getUrl(key) {
+    return `${getBaseUrl()}/${key}`;
+  },
+
+  owns(url) {
+    return typeof url === "string" && url.startsWith(`${getBaseUrl()}/`);
+  },
+
+  // the storage directory must exist (or be creatable) and be writable
+  async check() {
+    await fs.mkdir(STORAGE_DIR, { recursive: true });
+    await fs.access(STORAGE_DIR, fs.constants.W_OK);
+    return true;
+  },
+};
+
+export {
+  localDriver,
+  STORAGE_DIR as LOCAL_STORAGE_DIR,
+  UPLOADS_ROUTE as LOCAL_UPLOADS_ROUTE,
+};
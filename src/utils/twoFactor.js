@@ -0,0 +1,293 @@
+import crypto from "crypto";
+import { User } from "../models/user.models.js";
+import { ApiError } from "./ApiError.js";
+import { revokeOneTimeTokens } from "./oneTimeToken.js";
+
+/*
+ * TOTP (RFC 6238) two-factor authentication: 6-digit codes, 30 second steps,
+ * HMAC-SHA1 - what authenticator apps expect by default.
+ */
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+// Codes from one step before or after are accepted to allow for clock drift
+const ALLOWED_DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Wrong codes in a row before two-factor sign-in is locked, and for how long
+const MAX_FAILED_ATTEMPTS = 10;
+const LOCK_DURATION_MS = 60 * 60 * 1000;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// The code for a time step (RFC 4226 HOTP with the step as counter)
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, "0");
+};
+
+/**
+ * Find the time step a code belongs to.
+ * @param {String} secret - base32 TOTP secret.
+ * @param {String} code - The code entered by the user.
+ * @returns {Number|null} - The matching step, or null when the code is wrong.
+ */
+const matchCode = (secret, code) => {
+  const normalized = String(code).replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized) || normalized.length !== CODE_DIGITS) {
+    return null;
+  }
+
+  const now = currentStep();
+  for (
+    let drift = -ALLOWED_DRIFT_STEPS;
+    drift <= ALLOWED_DRIFT_STEPS;
+    drift++
+  ) {
+    const expected = generateCode(secret, now + drift);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return now + drift;
+    }
+  }
+  return null;
+};
+
+// Secrets are encrypted at rest (AES-256-GCM) so a database leak alone
+// doesn't give away working second factors. The key has to stay the same for
+// as long as secrets are stored, so it is separate from the rotatable JWT secrets.
+const getEncryptionKey = () => {
+  const key = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+  if (!key) {
+    throw new Error("TWO_FACTOR_ENCRYPTION_KEY is not set");
+  }
+  return crypto.createHash("sha256").update(key).digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    iv
+  );
+  decipher.setAuthTag(tag);
+  return Buffer.concat([
+    decipher.update(encrypted),
+    decipher.final(),
+  ]).toString();
+};
+
+// Recovery codes are compared case- and dash-insensitively
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      String(code)
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, "")
+    )
+    .digest("hex");
+
+/**
+ * Start enrollment: a new secret and the otpauth:// URI for authenticator apps.
+ * @param {Object} user - The user enrolling.
+ * @returns {Object} - { secret, encryptedSecret, otpauthUri }.
+ */
+const createTwoFactorSecret = (user) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+  const issuer = process.env.TWO_FACTOR_ISSUER || "VideoTube";
+  const label = encodeURIComponent(`${issuer}:${user.username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(CODE_DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return {
+    secret,
+    encryptedSecret: encryptSecret(secret),
+    otpauthUri: `otpauth://totp/${label}?${params}`,
+  };
+};
+
+/**
+ * Generate a fresh set of one-time recovery codes.
+ * @returns {Object} - { codes } to show the user once and { hashes } to store.
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Check a TOTP code against an encrypted secret.
+ * @param {String} encryptedSecret - The stored secret.
+ * @param {String} code - The code entered by the user.
+ * @returns {Number|null} - The matching time step, or null.
+ */
+const matchTwoFactorCode = (encryptedSecret, code) => {
+  if (!encryptedSecret || !code) return null;
+  return matchCode(decryptSecret(encryptedSecret), code);
+};
+
+/**
+ * Make sure two-factor sign-in isn't locked after too many wrong codes.
+ * @param {String} userId - The ID of the user.
+ * @throws {ApiError} - 429 while the lock lasts.
+ */
+const assertTwoFactorUnlocked = async (userId) => {
+  const user = await User.findById(userId)
+    .select("+twoFactor.lockedUntil")
+    .lean();
+  const lockedUntil = user?.twoFactor?.lockedUntil;
+  if (lockedUntil && lockedUntil > new Date()) {
+    throw new ApiError(
+      429,
+      `Too many invalid two-factor codes, try again after ${lockedUntil.toISOString()}`
+    );
+  }
+};
+
+// Count a wrong code; too many in a row lock two-factor sign-in and void
+// the login challenges already handed out
+const recordFailure = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { "twoFactor.failedAttempts": 1 } },
+    { new: true }
+  )
+    .select("+twoFactor.failedAttempts")
+    .lean();
+  if (!user || user.twoFactor.failedAttempts < MAX_FAILED_ATTEMPTS) return;
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "twoFactor.failedAttempts": 0,
+        "twoFactor.lockedUntil": new Date(Date.now() + LOCK_DURATION_MS),
+      },
+    }
+  );
+  await revokeOneTimeTokens(userId, "two-factor-login");
+};
+
+const recordSuccess = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    { $unset: { "twoFactor.failedAttempts": 1, "twoFactor.lockedUntil": 1 } }
+  );
+};
+
+// A TOTP code is used up by moving lastUsedStep past its step, atomically
+// so the same code can't be replayed, even in parallel
+const useCode = async (user, code) => {
+  const step = matchTwoFactorCode(user.twoFactor?.secret, code);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { "twoFactor.lastUsedStep": { $lt: step } },
+        { "twoFactor.lastUsedStep": null },
+      ],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const useRecoveryCode = async (user, recoveryCode) => {
+  const hash = hashRecoveryCode(recoveryCode);
+  const result = await User.updateOne(
+    { _id: user._id, "twoFactor.recoveryCodes": hash },
+    { $pull: { "twoFactor.recoveryCodes": hash } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Verify the second factor of an enrolled user: a TOTP code, or one of the
+ * recovery codes, which is then used up. A code can't be used twice.
+ * After MAX_FAILED_ATTEMPTS wrong codes in a row it is locked for an hour.
+ * @param {Object} user - User document loaded with the twoFactor secrets.
+ * @param {Object} input - { code } or { recoveryCode }.
+ * @returns {Boolean} - true when the second factor is valid.
+ * @throws {ApiError} - 429 while locked.
+ */
+const verifyTwoFactor = async (user, { code, recoveryCode }) => {
+  await assertTwoFactorUnlocked(user._id);
+
+  let isValid = false;
+  if (code) {
+    isValid = await useCode(user, code);
+  } else if (recoveryCode) {
+    isValid = await useRecoveryCode(user, recoveryCode);
+  }
+
+  await (isValid ? recordSuccess(user._id) : recordFailure(user._id));
+  return isValid;
+};
+
+export {
+  createTwoFactorSecret,
+  generateRecoveryCodes,
+  matchTwoFactorCode,
+  assertTwoFactorUnlocked,
+  verifyTwoFactor,
+};
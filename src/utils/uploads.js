@@ -0,0 +1,155 @@
+import fs from "fs/promises";
+import path from "path";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { Video } from "../models/vedio.models.js";
+import { ApiError } from "./ApiError.js";
+import { deleteFile } from "./storage/index.js";
+import { TEMP_UPLOAD_DIR } from "../constants.js";
+import { logger } from "./logger.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Upload sessions expire this long after their last chunk or completion
+const UPLOAD_SESSION_TTL_MS = 24 * HOUR_MS;
+
+// Files in public/temp untouched for this long are considered abandoned
+const TEMP_FILE_MAX_AGE_MS = 24 * HOUR_MS;
+
+const CLEANUP_INTERVAL_MS = HOUR_MS;
+
+// Largest file a resumable upload may hold, per kind
+const getMaxUploadSize = (kind) =>
+  kind === "video"
+    ? Number(process.env.MAX_VIDEO_UPLOAD_BYTES) || 2 * 1024 * 1024 * 1024
+    : 10 * 1024 * 1024;
+
+// Largest chunk accepted in a single request
+const MAX_CHUNK_SIZE = 10 * 1024 * 1024;
+
+const tempFilePath = (name) => path.resolve(TEMP_UPLOAD_DIR, name);
+
+const uploadExpiry = () => new Date(Date.now() + UPLOAD_SESSION_TTL_MS);
+
+/**
+ * Reserve a completed upload for use in a document, e.g. a video's file.
+ * A claimed upload can't be claimed or cancelled again; once the document is
+ * saved call finishUpload, or releaseUpload to make it available again.
+ * @param {String} uploadId - The ID of the upload session.
+ * @param {Object} user - The authenticated user (req.user).
+ * @param {String} kind - "image" or "video".
+ * @returns {Object} - The claimed upload session, with url and duration.
+ */
+const claimUpload = async (uploadId, user, kind) => {
+  const session = await UploadSession.findOneAndUpdate(
+    { _id: uploadId, owner: user._id, kind, status: "completed" },
+    { $set: { status: "claimed", expiresAt: uploadExpiry() } },
+    { new: true }
+  );
+
+  if (!session) {
+    throw new ApiError(400, `No completed ${kind} upload with id ${uploadId}`);
+  }
+
+  return session;
+};
+
+/**
+ * Hand a claimed upload back, e.g. when publishing failed. Its stored file
+ * is kept so the upload can be used again.
+ * @param {Object} session - The session returned by claimUpload.
+ */
+const releaseUpload = async (session) => {
+  await UploadSession.updateOne(
+    { _id: session._id, status: "claimed" },
+    { $set: { status: "completed", expiresAt: uploadExpiry() } }
+  );
+};
+
+/**
+ * Remove a claimed upload once its file is used by a saved document, so the
+ * same file can't be attached twice.
+ * @param {Object} session - The session returned by claimUpload.
+ */
+const finishUpload = async (session) => {
+  await UploadSession.deleteOne({ _id: session._id, status: "claimed" });
+};
+
+// Names this server gives temp files: "<uuid>.part" for resumable uploads and
+// "<uuid><ext>" for multer files. Anything else in public/temp is left alone.
+const TEMP_FILE_NAME_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(\.[a-z0-9]+)?$/i;
+
+// Remove files in public/temp that nobody has touched for a while: chunks of
+// abandoned uploads and multipart files left behind by failed requests
+const sweepTempDir = async () => {
+  const cutoff = Date.now() - TEMP_FILE_MAX_AGE_MS;
+  const names = await fs.readdir(tempFilePath("."));
+
+  for (const name of names) {
+    if (!TEMP_FILE_NAME_PATTERN.test(name)) continue;
+
+    const filePath = tempFilePath(name);
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (stats?.isFile() && stats.mtimeMs < cutoff) {
+      await fs.unlink(filePath).catch(() => {});
+    }
+  }
+};
+
+/**
+ * Delete an upload session with its temp file and, for completed uploads
+ * that were never used, the stored file.
+ * @param {Object} session - The upload session document.
+ */
+const removeUploadSession = async (session) => {
+  // A claimed upload may already be a video's file, when the request that
+  // published it stopped before removing the session
+  const inUse =
+    session.status === "claimed" &&
+    (await Video.exists({
+      $or: [{ videoFile: session.url }, { thumbnail: session.url }],
+    }));
+  if (session.url && !inUse) await deleteFile(session.url);
+  await fs.unlink(tempFilePath(session.tempFile)).catch(() => {});
+  await session.deleteOne();
+};
+
+/**
+ * Remove expired upload sessions with their files.
+ */
+const cleanupUploads = async () => {
+  const expired = await UploadSession.find({ expiresAt: { $lt: new Date() } });
+
+  for (const session of expired) {
+    await removeUploadSession(session);
+  }
+
+  await sweepTempDir();
+};
+
+/**
+ * Run cleanupUploads now and then every hour. The timer doesn't keep the
+ * process alive.
+ */
+const startUploadCleanup = () => {
+  const run = () =>
+    cleanupUploads().catch((error) =>
+      logger.error("Failed to clean up uploads", { error })
+    );
+
+  run();
+  setInterval(run, CLEANUP_INTERVAL_MS).unref();
+};
+
+export {
+  getMaxUploadSize,
+  MAX_CHUNK_SIZE,
+  tempFilePath,
+  uploadExpiry,
+  claimUpload,
+  releaseUpload,
+  finishUpload,
+  removeUploadSession,
+  cleanupUploads,
+  startUploadCleanup,
+};
@@ -0,0 +1,59 @@
+import { objectId, paginationQuery } from "./common.validator.js";
+import { USER_ROLES, USER_STATUSES } from "../constants.js";
+
+const userIdParams = {
+  userId: objectId(),
+};
+
+const getUsersSchema = {
+  query: {
+    ...paginationQuery,
+    q: { type: "string", maxLength: 100 },
+    role: { type: "enum", values: USER_ROLES },
+    status: { type: "enum", values: USER_STATUSES },
+  },
+};
+
+const suspendUserSchema = {
+  params: userIdParams,
+  body: {
+    days: { type: "int", required: true, min: 1, max: 365 },
+    reason: { type: "string", maxLength: 500 },
+  },
+};
+
+const banUserSchema = {
+  params: userIdParams,
+  body: {
+    reason: { type: "string", maxLength: 500 },
+  },
+};
+
+const userIdSchema = {
+  params: userIdParams,
+};
+
+const updateUserRoleSchema = {
+  params: userIdParams,
+  body: {
+    role: { type: "enum", values: USER_ROLES, required: true },
+  },
+};
+
+const moderateVideoSchema = {
+  params: {
+    videoId: objectId(),
+  },
+  body: {
+    reason: { type: "string", maxLength: 500 },
+  },
+};
+
+export {
+  getUsersSchema,
+  suspendUserSchema,
+  banUserSchema,
+  userIdSchema,
+  updateUserRoleSchema,
+  moderateVideoSchema,
+};
@@ -0,0 +1,60 @@
+import { objectId, paginationQuery } from "./common.validator.js";
+
+const getCommentsSchema = {
+  params: {
+    videoId: objectId(),
+  },
+  query: {
+    ...paginationQuery,
+    sortBy: { type: "enum", values: ["newest", "replies"], default: "newest" },
+    parentId: objectId(false),
+  },
+};
+
+const addCommentSchema = {
+  params: {
+    videoId: objectId(),
+  },
+  body: {
+    content: { type: "string", required: true, maxLength: 2000 },
+    parentId: objectId(false),
+  },
+};
+
+const getPostCommentsSchema = {
+  params: {
+    postId: objectId(),
+  },
+  query: getCommentsSchema.query,
+};
+
+const addPostCommentSchema = {
+  params: {
+    postId: objectId(),
+  },
+  body: addCommentSchema.body,
+};
+
+const updateCommentSchema = {
+  params: {
+    commentId: objectId(),
+  },
+  body: {
+    content: { type: "string", required: true, maxLength: 2000 },
+  },
+};
+
+const commentIdSchema = {
+  params: {
+    commentId: objectId(),
+  },
+};
+
+export {
+  getCommentsSchema,
+  addCommentSchema,
+  getPostCommentsSchema,
+  addPostCommentSchema,
+  updateCommentSchema,
+  commentIdSchema,
+};
@@ -0,0 +1,38 @@
+// Rules shared by several route schemas
+
+const objectId = (required = true) => ({ type: "objectId", required });
+
+const paginationQuery = {
+  page: { type: "int", min: 1, default: 1 },
+  limit: { type: "int", min: 1, max: 50, default: 10 },
+};
+
+const username = {
+  type: "string",
+  lowercase: true,
+  minLength: 3,
+  maxLength: 30,
+  pattern: /^[a-z0-9_.]+$/,
+  message: "may only contain letters, numbers, underscores and dots",
+};
+
+// at least 8 characters with a letter and a number
+const password = {
+  type: "string",
+  trim: false,
+  minLength: 8,
+  maxLength: 128,
+  pattern: /^(?=.*[A-Za-z])(?=.*\d)/,
+  message: "must contain at least one letter and one number",
+};
+
+// YYYY-MM-DD or a full ISO 8601 timestamp
+const isoDate = {
+  type: "string",
+  pattern: /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/,
+  message: "must be an ISO 8601 date",
+  validate: (value) =>
+    Number.isNaN(Date.parse(value)) ? "is not a valid date" : undefined,
+};
+
+export { objectId, paginationQuery, username, password, isoDate };
@@ -0,0 +1,35 @@
+import { isoDate, paginationQuery } from "./common.validator.js";
+
+const videoStatsSort = {
+  sortBy: {
+    type: "enum",
+    values: ["createdAt", "views", "likes", "comments"],
+    default: "createdAt",
+  },
+  sortType: { type: "enum", values: ["asc", "desc"], default: "desc" },
+};
+
+const videoStatsSchema = {
+  query: {
+    ...paginationQuery,
+    ...videoStatsSort,
+  },
+};
+
+const exportVideoStatsSchema = {
+  query: videoStatsSort,
+};
+
+const timeSeriesSchema = {
+  query: {
+    from: isoDate,
+    to: isoDate,
+    interval: {
+      type: "enum",
+      values: ["day", "week", "month"],
+      default: "day",
+    },
+  },
+};
+
+export { videoStatsSchema, exportVideoStatsSchema, timeSeriesSchema };
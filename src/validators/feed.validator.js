@@ -0,0 +1,11 @@
+const cursor = { type: "string", maxLength: 100 };
+
+const subscriptionsFeedSchema = {
+  query: {
+    cursor,
+    since: cursor,
+    limit: { type: "int", min: 1, max: 50, default: 20 },
+  },
+};
+
+export { subscriptionsFeedSchema };
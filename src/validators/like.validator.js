@@ -0,0 +1,41 @@
+import { objectId, paginationQuery } from "./common.validator.js";
+
+const reactionBody = {
+  reaction: {
+    type: "enum",
+    values: ["like", "dislike", "none"],
+    required: true,
+  },
+};
+
+const videoReactionSchema = {
+  params: {
+    videoId: objectId(),
+  },
+  body: reactionBody,
+};
+
+const commentReactionSchema = {
+  params: {
+    commentId: objectId(),
+  },
+  body: reactionBody,
+};
+
+const postReactionSchema = {
+  params: {
+    postId: objectId(),
+  },
+  body: reactionBody,
+};
+
+const likedVideosSchema = {
+  query: paginationQuery,
+};
+
+export {
+  videoReactionSchema,
+  commentReactionSchema,
+  postReactionSchema,
+  likedVideosSchema,
+};
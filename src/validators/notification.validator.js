@@ -0,0 +1,16 @@
+import { objectId, paginationQuery } from "./common.validator.js";
+
+const getNotificationsSchema = {
+  query: {
+    ...paginationQuery,
+    unreadOnly: { type: "boolean", default: false },
+  },
+};
+
+const notificationIdSchema = {
+  params: {
+    notificationId: objectId(),
+  },
+};
+
+export { getNotificationsSchema, notificationIdSchema };
@@ -0,0 +1,24 @@
+import { objectId } from "./common.validator.js";
+import { TOKEN_SCOPES } from "../constants.js";
+
+const createTokenSchema = {
+  body: {
+    name: { type: "string", required: true, maxLength: 100 },
+    scopes: {
+      type: "array",
+      required: true,
+      minLength: 1,
+      items: { type: "enum", values: TOKEN_SCOPES },
+    },
+    // tokens without expiresInDays never expire
+    expiresInDays: { type: "int", min: 1, max: 365 },
+  },
+};
+
+const tokenIdSchema = {
+  params: {
+    tokenId: objectId(),
+  },
+};
+
+export { createTokenSchema, tokenIdSchema };
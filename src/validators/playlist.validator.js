@@ -0,0 +1,67 @@
+import { objectId } from "./common.validator.js";
+
+const visibility = {
+  type: "enum",
+  values: ["public", "unlisted", "private"],
+};
+
+const createPlaylistSchema = {
+  body: {
+    name: { type: "string", required: true, maxLength: 150 },
+    description: { type: "string", maxLength: 5000, default: "" },
+    visibility: { ...visibility, default: "public" },
+  },
+};
+
+const userPlaylistsSchema = {
+  params: {
+    userId: objectId(),
+  },
+};
+
+const playlistIdSchema = {
+  params: {
+    playlistId: objectId(),
+  },
+};
+
+const updatePlaylistSchema = {
+  params: {
+    playlistId: objectId(),
+  },
+  body: {
+    name: { type: "string", maxLength: 150 },
+    description: { type: "string", maxLength: 5000 },
+    visibility,
+  },
+};
+
+const playlistVideoSchema = {
+  params: {
+    playlistId: objectId(),
+    videoId: objectId(),
+  },
+};
+
+const reorderPlaylistSchema = {
+  params: {
+    playlistId: objectId(),
+  },
+  body: {
+    videoIds: {
+      type: "array",
+      items: { type: "objectId" },
+      required: true,
+      maxLength: 5000,
+    },
+  },
+};
+
+export {
+  createPlaylistSchema,
+  userPlaylistsSchema,
+  playlistIdSchema,
+  updatePlaylistSchema,
+  playlistVideoSchema,
+  reorderPlaylistSchema,
+};
@@ -0,0 +1,32 @@
+import { objectId, paginationQuery } from "./common.validator.js";
+
+const createPostSchema = {
+  body: {
+    content: { type: "string", required: true, maxLength: 5000 },
+  },
+};
+
+const userPostsSchema = {
+  params: {
+    userId: objectId(),
+  },
+  query: paginationQuery,
+};
+
+const updatePostSchema = {
+  params: {
+    postId: objectId(),
+  },
+  body: {
+    content: { type: "string", maxLength: 5000 },
+    removeImage: { type: "boolean", default: false },
+  },
+};
+
+const postIdSchema = {
+  params: {
+    postId: objectId(),
+  },
+};
+
+export { createPostSchema, userPostsSchema, updatePostSchema, postIdSchema };
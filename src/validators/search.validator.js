@@ -0,0 +1,20 @@
+import { isoDate, objectId, paginationQuery } from "./common.validator.js";
+
+const searchSchema = {
+  query: {
+    ...paginationQuery,
+    q: { type: "string", required: true, maxLength: 200 },
+    type: { type: "enum", values: ["all", "video", "channel"], default: "all" },
+    sortBy: {
+      type: "enum",
+      values: ["relevance", "date", "views"],
+      default: "relevance",
+    },
+    uploadedAfter: isoDate,
+    uploadedBefore: isoDate,
+    duration: { type: "enum", values: ["short", "medium", "long"] },
+    channelId: objectId(false),
+  },
+};
+
+export { searchSchema };
@@ -0,0 +1,9 @@
+import { objectId } from "./common.validator.js";
+
+const sessionIdSchema = {
+  params: {
+    sessionId: objectId(),
+  },
+};
+
+export { sessionIdSchema };
@@ -0,0 +1,23 @@
+import { objectId, paginationQuery } from "./common.validator.js";
+
+const channelIdSchema = {
+  params: {
+    channelId: objectId(),
+  },
+};
+
+const channelSubscribersSchema = {
+  params: {
+    channelId: objectId(),
+  },
+  query: paginationQuery,
+};
+
+const subscribedChannelsSchema = {
+  params: {
+    subscriberId: objectId(),
+  },
+  query: paginationQuery,
+};
+
+export { channelIdSchema, channelSubscribersSchema, subscribedChannelsSchema };
@@ -0,0 +1,27 @@
+import { objectId } from "./common.validator.js";
+
+const uploadIdParams = {
+  uploadId: objectId(),
+};
+
+const createUploadSchema = {
+  body: {
+    kind: { type: "enum", values: ["image", "video"], required: true },
+    fileName: { type: "string", maxLength: 255, default: "" },
+    mimeType: { type: "string", required: true, lowercase: true },
+    totalSize: { type: "int", required: true, min: 1 },
+  },
+};
+
+const uploadChunkSchema = {
+  params: uploadIdParams,
+  query: {
+    offset: { type: "int", required: true, min: 0 },
+  },
+};
+
+const uploadIdSchema = {
+  params: uploadIdParams,
+};
+
+export { createUploadSchema, uploadChunkSchema, uploadIdSchema };
@@ -0,0 +1,120 @@
+import { objectId, password, username } from "./common.validator.js";
+
+const registerSchema = {
+  body: {
+    fullname: { type: "string", required: true, maxLength: 80 },
+    email: { type: "email", required: true },
+    username: { ...username, required: true },
+    password: { ...password, required: true },
+  },
+};
+
+// either username or email is checked in the controller
+const loginSchema = {
+  body: {
+    username: { type: "string", lowercase: true },
+    email: { type: "email" },
+    password: { type: "string", trim: false, required: true },
+  },
+};
+
+const refreshTokenSchema = {
+  body: {
+    refreshToken: { type: "string" },
+  },
+};
+
+const tokenSchema = {
+  body: {
+    token: { type: "string", required: true },
+  },
+};
+
+const forgotPasswordSchema = {
+  body: {
+    email: { type: "email", required: true },
+  },
+};
+
+const resetPasswordSchema = {
+  body: {
+    token: { type: "string", required: true },
+    newPassword: { ...password, required: true },
+  },
+};
+
+const changePasswordSchema = {
+  body: {
+    oldPassword: { type: "string", trim: false, required: true },
+    newPassword: { ...password, required: true },
+  },
+};
+
+const channelProfileSchema = {
+  params: {
+    username: { type: "string", required: true, lowercase: true },
+  },
+};
+
+const watchHistoryEntrySchema = {
+  params: {
+    videoId: objectId(),
+  },
+};
+
+const watchHistoryPauseSchema = {
+  body: {
+    paused: { type: "boolean", required: true },
+  },
+};
+
+const twoFactorCode = {
+  type: "string",
+  pattern: /^\d{6}$/,
+  message: "must be a 6-digit code",
+};
+
+const twoFactorLoginSchema = {
+  body: {
+    challengeToken: { type: "string", required: true },
+    code: twoFactorCode,
+    recoveryCode: { type: "string", maxLength: 20 },
+  },
+};
+
+const enableTwoFactorSchema = {
+  body: {
+    code: { ...twoFactorCode, required: true },
+  },
+};
+
+const disableTwoFactorSchema = {
+  body: {
+    password: { type: "string", trim: false, required: true },
+    code: { ...twoFactorCode, required: true },
+  },
+};
+
+const accountDeletionSchema = {
+  body: {
+    password: { type: "string", trim: false, required: true },
+    code: twoFactorCode,
+  },
+};
+
+export {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  tokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  channelProfileSchema,
+  watchHistoryEntrySchema,
+  watchHistoryPauseSchema,
+  twoFactorLoginSchema,
+  enableTwoFactorSchema,
+  disableTwoFactorSchema,
+  accountDeletionSchema,
+};
@@ -0,0 +1,47 @@
+import { objectId, paginationQuery } from "./common.validator.js";
+
+const videoIdParams = {
+  videoId: objectId(),
+};
+
+const getVideosSchema = {
+  query: {
+    ...paginationQuery,
+    userId: objectId(false),
+    sortBy: {
+      type: "enum",
+      values: ["createdAt", "views"],
+      default: "createdAt",
+    },
+    sortType: { type: "enum", values: ["asc", "desc"], default: "desc" },
+  },
+};
+
+const publishVideoSchema = {
+  body: {
+    title: { type: "string", required: true, maxLength: 100 },
+    description: { type: "string", required: true, maxLength: 5000 },
+    // completed resumable uploads, used instead of the multipart files
+    videoUploadId: objectId(false),
+    thumbnailUploadId: objectId(false),
+  },
+};
+
+const videoIdSchema = {
+  params: videoIdParams,
+};
+
+const updateVideoSchema = {
+  params: videoIdParams,
+  body: {
+    title: { type: "string", maxLength: 100 },
+    description: { type: "string", maxLength: 5000 },
+  },
+};
+
+export {
+  getVideosSchema,
+  publishVideoSchema,
+  videoIdSchema,
+  updateVideoSchema,
+};
@@ -0,0 +1,387 @@
+import { after, afterEach, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcrypt";
+import mongoose from "mongoose";
+
+process.env.ACCESS_TOKEN_SECRET = "test-access-secret";
+process.env.ACCESS_TOKEN_EXPIRY = "15m";
+process.env.REFRESH_TOKEN_SECRET = "test-refresh-secret";
+process.env.REFRESH_TOKEN_EXPIRY = "10d";
+process.env.LOG_LEVEL = "error";
+
+// There is no database in tests: every query used here is mocked, anything
+// else fails right away instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+const { app } = await import("../src/app.js");
+const { User } = await import("../src/models/user.models.js");
+const { Session } = await import("../src/models/session.model.js");
+const { PersonalAccessToken } = await import(
+  "../src/models/personalAccessToken.model.js"
+);
+
+const PASSWORD = "correct-horse-1";
+const passwordHash = await bcrypt.hash(PASSWORD, 4);
+
+const createUser = (fields = {}) =>
+  new User({
+    username: "alice",
+    email: "alice@example.com",
+    fullname: "Alice",
+    avatar: "http://localhost/avatar.png",
+    password: passwordHash,
+    ...fields,
+  });
+
+// Stands in for a mongoose query: can be awaited or narrowed with select()
+const query = (result) => ({
+  select() {
+    return this;
+  },
+  then(resolve, reject) {
+    return Promise.resolve(result).then(resolve, reject);
+  },
+});
+
+// Accounts known to the mocked User model, by username or email
+const mockUsers = (...users) => {
+  const find = ({ username, email }) =>
+    users.find((user) =>
+      username ? user.username === username : user.email === email
+    ) ?? null;
+  mock.method(User, "findOne", async (filter) => find(filter));
+  mock.method(User, "exists", async (filter) => {
+    const user = find(filter);
+    return user && { _id: user._id };
+  });
+  mock.method(User, "findById", (id) =>
+    query(users.find((user) => user._id.equals(id)) ?? null)
+  );
+  mock.method(User, "updateOne", async () => ({ modifiedCount: 0 }));
+};
+
+let server;
+let baseUrl;
+
+const post = (path, body, headers = {}) =>
+  fetch(`${baseUrl}/api/v1/users${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+
+const get = (path, headers = {}) =>
+  fetch(`${baseUrl}/api/v1/users${path}`, { headers });
+
+describe("authentication", () => {
+  before(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  afterEach(() => mock.restoreAll());
+
+  describe("login", () => {
+    it("signs in with the right password and opens a session", async () => {
+      const user = createUser();
+      mockUsers(user);
+      const save = mock.method(Session.prototype, "save", async function () {
+        return this;
+      });
+
+      const res = await post("/login", {
+        username: "Alice",
+        password: PASSWORD,
+      });
+      const body = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.equal(body.data.user.username, "alice");
+      assert.ok(body.data.accessToken && body.data.refreshToken);
+
+      const cookies = res.headers.getSetCookie().join("\n");
+      assert.match(cookies, /accessToken=.*HttpOnly/);
+      assert.match(cookies, /refreshToken=.*HttpOnly/);
+
+      // The session stores a hash of the refresh token, never the token
+      assert.equal(save.mock.callCount(), 1);
+      const session = save.mock.calls[0].this;
+      assert.ok(session.user.equals(user._id));
+      assert.match(session.refreshTokenHash, /^[0-9a-f]{64}$/);
+      assert.notEqual(session.refreshTokenHash, body.data.refreshToken);
+    });
+
+    it("gives the same answer for unknown users and wrong passwords", async () => {
+      mockUsers(createUser({ username: "carol" }));
+
+      const unknown = await post("/login", {
+        username: "nobody",
+        password: PASSWORD,
+      });
+      const wrong = await post("/login", {
+        username: "carol",
+        password: "wrong-password-1",
+      });
+
+      assert.equal(unknown.status, 401);
+      assert.equal(wrong.status, 401);
+      assert.equal(
+        (await unknown.json()).massage,
+        (await wrong.json()).massage
+      );
+    });
+
+    it("refuses banned accounts", async () => {
+      mockUsers(createUser({ username: "dave", status: "banned" }));
+
+      const res = await post("/login", {
+        username: "dave",
+        password: PASSWORD,
+      });
+
+      assert.equal(res.status, 403);
+      assert.equal((await res.json()).massage, "Account is banned");
+    });
+
+    it("locks an account after repeated wrong passwords", async () => {
+      mockUsers(createUser({ username: "bob" }));
+
+      for (let i = 0; i < 5; i++) {
+        const res = await post("/login", {
+          username: "bob",
+          password: "wrong-password-1",
+        });
+        assert.equal(res.status, 401);
+      }
+
+      // Even the right password is refused while the lock lasts
+      const locked = await post("/login", {
+        username: "bob",
+        password: PASSWORD,
+      });
+      assert.equal(locked.status, 429);
+      assert.ok(Number(locked.headers.get("retry-after")) > 0);
+    });
+
+    it("counts username and email logins against the same account", async () => {
+      mockUsers(createUser({ username: "erin", email: "erin@example.com" }));
+
+      for (let i = 0; i < 5; i++) {
+        const res = await post(
+          "/login",
+          i % 2
+            ? { username: "erin", password: "wrong-password-1" }
+            : { email: "Erin@example.com", password: "wrong-password-1" }
+        );
+        assert.equal(res.status, 401);
+      }
+
+      const locked = await post("/login", {
+        username: "erin",
+        password: PASSWORD,
+      });
+      assert.equal(locked.status, 429);
+    });
+
+    it("validates the request body", async () => {
+      const res = await post("/login", { username: "alice" });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual((await res.json()).errors, [
+        {
+          field: "password",
+          location: "body",
+          message: "password is required",
+        },
+      ]);
+    });
+  });
+
+  describe("access tokens", () => {
+    const sessionId = new mongoose.Types.ObjectId();
+
+    it("are accepted while their session is live", async () => {
+      const user = createUser();
+      mockUsers(user);
+      const exists = mock.method(Session, "exists", async () => ({
+        _id: sessionId,
+      }));
+
+      const res = await get("/current-user", {
+        Authorization: `Bearer ${user.generateAccessToken(sessionId)}`,
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal((await res.json()).data.username, "alice");
+      const [filter] = exists.mock.calls[0].arguments;
+      assert.equal(String(filter._id), String(sessionId));
+      assert.equal(filter.revokedAt, null);
+    });
+
+    it("are refused once their session was revoked", async () => {
+      const user = createUser();
+      mockUsers(user);
+      mock.method(Session, "exists", async () => null);
+
+      const res = await get("/current-user", {
+        Authorization: `Bearer ${user.generateAccessToken(sessionId)}`,
+      });
+
+      assert.equal(res.status, 401);
+      assert.equal((await res.json()).massage, "Session has been revoked");
+    });
+
+    it("are refused when signed with another secret", async () => {
+      const user = createUser();
+      mockUsers(user);
+      const secret = process.env.ACCESS_TOKEN_SECRET;
+      process.env.ACCESS_TOKEN_SECRET = "someone-elses-secret";
+      const token = user.generateAccessToken(sessionId);
+      process.env.ACCESS_TOKEN_SECRET = secret;
+
+      const res = await get("/current-user", {
+        Authorization: `Bearer ${token}`,
+      });
+
+      assert.equal(res.status, 401);
+    });
+
+    it("are required", async () => {
+      const res = await get("/current-user");
+
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe("change password", () => {
+    const sessionId = new mongoose.Types.ObjectId();
+
+    // Signed in as user, on a live session
+    const changePassword = (user, body) => {
+      mock.method(Session, "exists", async () => ({ _id: sessionId }));
+      return post("/change-password", body, {
+        Authorization: `Bearer ${user.generateAccessToken(sessionId)}`,
+      });
+    };
+
+    it("sets the new password and signs out other sessions", async () => {
+      const user = createUser();
+      mockUsers(user);
+      const save = mock.method(User.prototype, "save", async function () {
+        return this;
+      });
+      const revoke = mock.method(Session, "updateMany", async () => ({
+        modifiedCount: 2,
+      }));
+      const deleteTokens = mock.method(
+        PersonalAccessToken,
+        "deleteMany",
+        async () => ({ deletedCount: 0 })
+      );
+
+      const res = await changePassword(user, {
+        oldPassword: PASSWORD,
+        newPassword: "battery-staple-2",
+      });
+
+      assert.equal(res.status, 200);
+      // Saved as typed, the pre-save hook hashes it on a real save
+      assert.equal(save.mock.callCount(), 1);
+      assert.equal(save.mock.calls[0].this.password, "battery-staple-2");
+
+      // The session making the change stays signed in
+      const [filter, update] = revoke.mock.calls[0].arguments;
+      assert.ok(filter.user.equals(user._id));
+      assert.equal(String(filter._id.$ne), String(sessionId));
+      assert.equal(update.$set.revokedReason, "password-change");
+      assert.equal(deleteTokens.mock.callCount(), 1);
+    });
+
+    it("refuses a wrong old password", async () => {
+      const user = createUser();
+      mockUsers(user);
+      const save = mock.method(User.prototype, "save", async function () {
+        return this;
+      });
+
+      const res = await changePassword(user, {
+        oldPassword: "wrong-password-1",
+        newPassword: "battery-staple-2",
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).massage, "Invalid old password");
+      assert.equal(save.mock.callCount(), 0);
+    });
+
+    it("refuses a weak new password", async () => {
+      const user = createUser();
+      mockUsers(user);
+
+      const res = await changePassword(user, {
+        oldPassword: PASSWORD,
+        newPassword: "short",
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(
+        (await res.json()).errors.map((error) => error.field),
+        ["newPassword"]
+      );
+    });
+  });
+
+  describe("refresh tokens", () => {
+    const sessionId = new mongoose.Types.ObjectId();
+
+    it("are rotated on use", async () => {
+      const user = createUser();
+      mockUsers(user);
+      const rotate = mock.method(Session, "findOneAndUpdate", async () => ({
+        _id: sessionId,
+      }));
+
+      const refreshToken = user.generateRefreshToken(sessionId);
+      const res = await post("/refresh-token", { refreshToken });
+      const body = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.ok(body.data.refreshToken);
+      assert.notEqual(body.data.refreshToken, refreshToken);
+
+      // Only the latest token of a live session can be swapped
+      const [filter, update] = rotate.mock.calls[0].arguments;
+      assert.equal(String(filter._id), String(sessionId));
+      assert.equal(filter.revokedAt, null);
+      assert.notEqual(update.$set.refreshTokenHash, filter.refreshTokenHash);
+    });
+
+    it("revoke the session when an old token is reused", async () => {
+      const user = createUser();
+      mockUsers(user);
+      mock.method(Session, "findOneAndUpdate", async () => null);
+      const revoke = mock.method(Session, "updateMany", async () => ({
+        modifiedCount: 1,
+      }));
+
+      const res = await post("/refresh-token", {
+        refreshToken: user.generateRefreshToken(sessionId),
+      });
+
+      assert.equal(res.status, 401);
+      assert.match((await res.json()).massage, /reuse detected/);
+      const [filter, update] = revoke.mock.calls[0].arguments;
+      assert.equal(String(filter._id), String(sessionId));
+      assert.equal(update.$set.revokedReason, "reuse");
+    });
+
+    it("are refused when invalid", async () => {
+      const res = await post("/refresh-token", { refreshToken: "garbage" });
+
+      assert.equal(res.status, 401);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  cursorFilter,
+  decodeCursor,
+  encodeCursor,
+} from "../src/utils/cursor.js";
+import { ApiError } from "../src/utils/ApiError.js";
+
+const doc = {
+  createdAt: new Date("2024-05-01T12:30:00.000Z"),
+  _id: new mongoose.Types.ObjectId(),
+};
+
+describe("cursor", () => {
+  it("round-trips a sort position", () => {
+    const cursor = encodeCursor(doc);
+
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/); // safe in a query string
+    assert.deepEqual(decodeCursor(cursor), doc);
+  });
+
+  it("rejects cursors that weren't produced by encodeCursor", () => {
+    const invalid = [
+      "not-a-cursor",
+      Buffer.from("yesterday_abc").toString("base64url"),
+      Buffer.from(`${doc.createdAt.toISOString()}_123`).toString("base64url"),
+      Buffer.from(`garbage_${doc._id}`).toString("base64url"),
+    ];
+
+    for (const cursor of invalid) {
+      assert.throws(
+        () => decodeCursor(cursor),
+        (error) => error instanceof ApiError && error.statusCode === 400,
+        cursor
+      );
+    }
+  });
+
+  it("filters for older documents by default", () => {
+    assert.deepEqual(cursorFilter(doc), {
+      $or: [
+        { createdAt: { $lt: doc.createdAt } },
+        { createdAt: doc.createdAt, _id: { $lt: doc._id } },
+      ],
+    });
+  });
+
+  it("filters for newer documents when asked", () => {
+    assert.deepEqual(cursorFilter(doc, true), {
+      $or: [
+        { createdAt: { $gt: doc.createdAt } },
+        { createdAt: doc.createdAt, _id: { $gt: doc._id } },
+      ],
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { logger, redact, runWithLogContext } from "../src/utils/logger.js";
+
+describe("redact", () => {
+  it("hides sensitive fields at any depth", () => {
+    const redacted = redact({
+      username: "alice",
+      password: "hunter22",
+      oldPassword: "hunter11",
+      refreshToken: "abc",
+      headers: { authorization: "Bearer abc", cookie: "a=b", host: "x" },
+      body: [{ recoveryCode: "12345-67890", videoId: "v1" }],
+      TWO_FACTOR_SECRET: "JBSWY3DP",
+      api_key: "k",
+    });
+
+    assert.deepEqual(redacted, {
+      username: "alice",
+      password: "[REDACTED]",
+      oldPassword: "[REDACTED]",
+      refreshToken: "[REDACTED]",
+      headers: {
+        authorization: "[REDACTED]",
+        cookie: "[REDACTED]",
+        host: "x",
+      },
+      body: [{ recoveryCode: "[REDACTED]", videoId: "v1" }],
+      TWO_FACTOR_SECRET: "[REDACTED]",
+      api_key: "[REDACTED]",
+    });
+  });
+
+  it("keeps fields that only start like a sensitive one", () => {
+    const changedAt = new Date("2024-01-01T00:00:00.000Z");
+
+    assert.deepEqual(redact({ passwordChangedAt: changedAt }), {
+      passwordChangedAt: "2024-01-01T00:00:00.000Z",
+    });
+  });
+
+  it("serializes errors, dates and ObjectIds", () => {
+    const id = new mongoose.Types.ObjectId();
+    const error = Object.assign(new Error("boom"), { code: 11000 });
+    const redacted = redact({ id, at: new Date(0), error });
+
+    assert.equal(redacted.id, id.toString());
+    assert.equal(redacted.at, "1970-01-01T00:00:00.000Z");
+    assert.equal(redacted.error.message, "boom");
+    assert.equal(redacted.error.code, 11000);
+    assert.match(redacted.error.stack, /boom/);
+  });
+
+  it("cuts off deeply nested objects", () => {
+    const nested = { a: { b: { c: { d: { e: { f: { g: 1 } } } } } } };
+
+    assert.deepEqual(redact(nested), {
+      a: { b: { c: { d: { e: { f: "[Object]" } } } } },
+    });
+  });
+
+  it("doesn't change the value it was given", () => {
+    const fields = { password: "hunter22" };
+    redact(fields);
+    assert.equal(fields.password, "hunter22");
+  });
+});
+
+describe("logger", () => {
+  const capture = (fn) => {
+    const lines = [];
+    mock.method(process.stdout, "write", (line) => {
+      lines.push(JSON.parse(line));
+      return true;
+    });
+    try {
+      fn();
+    } finally {
+      mock.restoreAll();
+    }
+    return lines;
+  };
+
+  it("writes redacted JSON lines with the request context", () => {
+    const [line] = capture(() =>
+      runWithLogContext({ requestId: "req-1" }, () =>
+        logger.warn("Login failed", { username: "alice", password: "x" })
+      )
+    );
+
+    assert.equal(line.level, "warn");
+    assert.equal(line.msg, "Login failed");
+    assert.equal(line.requestId, "req-1");
+    assert.equal(line.username, "alice");
+    assert.equal(line.password, "[REDACTED]");
+  });
+
+  it("drops lines below LOG_LEVEL", () => {
+    const level = process.env.LOG_LEVEL;
+    process.env.LOG_LEVEL = "warn";
+
+    try {
+      const lines = capture(() => {
+        logger.info("hidden");
+        logger.error("shown");
+      });
+      assert.deepEqual(
+        lines.map((line) => line.msg),
+        ["shown"]
+      );
+    } finally {
+      if (level === undefined) delete process.env.LOG_LEVEL;
+      else process.env.LOG_LEVEL = level;
+    }
+  });
+});
@@ -0,0 +1,163 @@
+import { after, afterEach, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.ACCESS_TOKEN_SECRET = "test-access-secret";
+process.env.ACCESS_TOKEN_EXPIRY = "15m";
+process.env.STORAGE_DRIVER = "local";
+process.env.LOG_LEVEL = "error";
+
+// There is no database in tests: every query used here is mocked, anything
+// else fails right away instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+const { app } = await import("../src/app.js");
+const { User } = await import("../src/models/user.models.js");
+const { Session } = await import("../src/models/session.model.js");
+const { Video } = await import("../src/models/vedio.models.js");
+const { UploadSession } = await import("../src/models/uploadSession.model.js");
+const { Subscription } = await import("../src/models/subscription.model.js");
+const { localDriver } = await import("../src/utils/storage/local.driver.js");
+
+const user = new User({
+  username: "alice",
+  email: "alice@example.com",
+  fullname: "Alice",
+  avatar: "/uploads/avatar.png",
+  password: "hash",
+  isEmailVerified: true,
+});
+const sessionId = new mongoose.Types.ObjectId();
+
+// Completed resumable uploads of the user, by id
+const createUpload = (kind, url) =>
+  new UploadSession({
+    owner: user._id,
+    kind,
+    mimeType: kind === "video" ? "video/mp4" : "image/png",
+    totalSize: 10,
+    receivedBytes: 10,
+    tempFile: "upload.part",
+    status: "claimed",
+    url,
+    duration: kind === "video" ? 12 : undefined,
+    expiresAt: new Date(Date.now() + 60 * 1000),
+  });
+const videoUpload = createUpload("video", "/uploads/video.mp4");
+const thumbnailUpload = createUpload("image", "/uploads/thumbnail.png");
+
+let server;
+let baseUrl;
+let uploadUpdates;
+let uploadDeletes;
+let fileDeletes;
+
+const publish = (body) =>
+  fetch(`${baseUrl}/api/v1/videos`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${user.generateAccessToken(sessionId)}`,
+    },
+    body: JSON.stringify({ title: "Title", description: "About", ...body }),
+  });
+
+describe("publishing a video from resumable uploads", () => {
+  before(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  // Signed in, and only videoUpload and thumbnailUpload can be claimed
+  const mockModels = () => {
+    mock.method(Session, "exists", async () => ({ _id: sessionId }));
+    mock.method(User, "findById", () => ({
+      select: async () => user,
+    }));
+    mock.method(UploadSession, "findOneAndUpdate", async ({ _id }) =>
+      [videoUpload, thumbnailUpload].find((upload) => upload._id.equals(_id))
+    );
+    uploadUpdates = mock.method(UploadSession, "updateOne", async () => ({}));
+    uploadDeletes = mock.method(UploadSession, "deleteOne", async () => ({}));
+    fileDeletes = mock.method(localDriver, "delete", async () => true);
+  };
+
+  afterEach(() => mock.restoreAll());
+
+  const releasedIds = () =>
+    uploadUpdates.mock.calls
+      .filter(({ arguments: [, update] }) => update.$set.status === "completed")
+      .map(({ arguments: [filter] }) => String(filter._id));
+
+  it("keeps the video upload when the thumbnail id is wrong", async () => {
+    mockModels();
+
+    const res = await publish({
+      videoUploadId: String(videoUpload._id),
+      thumbnailUploadId: String(new mongoose.Types.ObjectId()),
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(releasedIds(), [String(videoUpload._id)]);
+    assert.equal(uploadDeletes.mock.callCount(), 0);
+    assert.equal(fileDeletes.mock.callCount(), 0);
+  });
+
+  it("hands both uploads back when the video can't be saved", async () => {
+    mockModels();
+    mock.method(Video, "create", async () => {
+      throw new Error("write failed");
+    });
+
+    const res = await publish({
+      videoUploadId: String(videoUpload._id),
+      thumbnailUploadId: String(thumbnailUpload._id),
+    });
+
+    assert.equal(res.status, 500);
+    assert.deepEqual(
+      releasedIds().sort(),
+      [String(videoUpload._id), String(thumbnailUpload._id)].sort()
+    );
+    assert.equal(uploadDeletes.mock.callCount(), 0);
+    assert.equal(fileDeletes.mock.callCount(), 0);
+  });
+
+  it("removes the uploads once the video is saved", async () => {
+    mockModels();
+    const create = mock.method(Video, "create", async (fields) => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...fields,
+    }));
+    mock.method(Subscription, "find", () => ({
+      select() {
+        return this;
+      },
+      lean() {
+        return this;
+      },
+      cursor: () => [],
+    }));
+
+    const res = await publish({
+      videoUploadId: String(videoUpload._id),
+      thumbnailUploadId: String(thumbnailUpload._id),
+    });
+
+    assert.equal(res.status, 201);
+    const [fields] = create.mock.calls[0].arguments;
+    assert.equal(fields.videoFile, videoUpload.url);
+    assert.equal(fields.thumbnail, thumbnailUpload.url);
+    assert.equal(fields.duration, 12);
+    assert.deepEqual(
+      uploadDeletes.mock.calls
+        .map(({ arguments: [filter] }) => String(filter._id))
+        .sort(),
+      [String(videoUpload._id), String(thumbnailUpload._id)].sort()
+    );
+    assert.deepEqual(releasedIds(), []);
+  });
+});
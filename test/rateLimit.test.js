@@ -0,0 +1,155 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { rateLimit } from "../src/middlewares/rateLimit.middleware.js";
+import { errorHandler } from "../src/middlewares/error.middleware.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let server;
+let baseUrl;
+let limiterCount = 0;
+
+const router = express.Router();
+const app = express();
+app.use(router);
+app.use(errorHandler);
+
+// A route behind its own limiter. The handler answers with ?status (200 by
+// default) after ?delay milliseconds.
+const addRoute = (options) => {
+  const path = `/limited/${++limiterCount}`;
+  router.get(
+    path,
+    rateLimit({ name: path, key: (req) => req.query.key, ...options }),
+    async (req, res) => {
+      await sleep(Number(req.query.delay) || 0);
+      res.status(Number(req.query.status) || 200).json({});
+    }
+  );
+  return (query = {}) =>
+    fetch(`${baseUrl}${path}?${new URLSearchParams({ key: "k", ...query })}`);
+};
+
+const statuses = (responses) => responses.map((res) => res.status);
+
+describe("rateLimit", () => {
+  before(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it("blocks a key after max attempts within the window", async () => {
+    const request = addRoute({ max: 2, windowMs: 60 * 1000 });
+
+    const responses = [];
+    for (let i = 0; i < 3; i++) responses.push(await request());
+
+    assert.deepEqual(statuses(responses), [200, 200, 429]);
+    const retryAfter = Number(responses[2].headers.get("retry-after"));
+    assert.ok(retryAfter > 0 && retryAfter <= 60);
+
+    // Other keys have their own count
+    assert.equal((await request({ key: "other" })).status, 200);
+  });
+
+  it("only counts failures with failuresOnly", async () => {
+    const request = addRoute({
+      max: 2,
+      windowMs: 60 * 1000,
+      failuresOnly: true,
+    });
+
+    const responses = [];
+    for (let i = 0; i < 3; i++) responses.push(await request());
+    responses.push(await request({ status: 401 }));
+    responses.push(await request({ status: 401 }));
+    responses.push(await request());
+
+    assert.deepEqual(statuses(responses), [200, 200, 200, 401, 401, 429]);
+  });
+
+  it("counts parallel requests that are still in flight", async () => {
+    const request = addRoute({
+      max: 2,
+      windowMs: 60 * 1000,
+      failuresOnly: true,
+    });
+
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () => request({ status: 401, delay: 100 }))
+    );
+
+    assert.deepEqual(statuses(responses).sort(), [401, 401, 429, 429, 429]);
+  });
+
+  it("gives back the attempts of parallel requests that succeeded", async () => {
+    const request = addRoute({
+      max: 2,
+      windowMs: 60 * 1000,
+      failuresOnly: true,
+    });
+
+    await Promise.all([request({ delay: 50 }), request({ delay: 50 })]);
+    await sleep(20); // the count is settled once the response has closed
+
+    assert.equal((await request({ status: 401 })).status, 401);
+  });
+
+  it("forgets the key after a success with resetOnSuccess", async () => {
+    const request = addRoute({
+      max: 2,
+      windowMs: 60 * 1000,
+      failuresOnly: true,
+      resetOnSuccess: true,
+    });
+
+    const responses = [];
+    responses.push(await request({ status: 401 }));
+    responses.push(await request());
+    await sleep(20);
+    responses.push(await request({ status: 401 }));
+    responses.push(await request({ status: 401 }));
+
+    assert.deepEqual(statuses(responses), [401, 200, 401, 401]);
+  });
+
+  it("locks for longer after every failure with backoff", async () => {
+    const request = addRoute({
+      max: 1,
+      windowMs: 60 * 1000,
+      failuresOnly: true,
+      backoff: { baseMs: 200, maxMs: 1000 },
+    });
+
+    assert.equal((await request({ status: 401 })).status, 401);
+    await sleep(20);
+    const locked = await request({ status: 401 });
+    assert.equal(locked.status, 429);
+
+    // One retry once the lock is over, failing again locks twice as long
+    await sleep(250);
+    const [retry, extra] = await Promise.all([
+      request({ status: 401, delay: 50 }),
+      request({ status: 401, delay: 50 }),
+    ]);
+    assert.deepEqual(statuses([retry, extra]).sort(), [401, 429]);
+
+    await sleep(250);
+    assert.equal((await request({ status: 401 })).status, 429);
+    await sleep(200);
+    assert.equal((await request()).status, 200);
+  });
+
+  it("skips requests without a key", async () => {
+    const request = addRoute({ max: 1, windowMs: 60 * 1000 });
+
+    const responses = [];
+    for (let i = 0; i < 3; i++) responses.push(await request({ key: "" }));
+
+    assert.deepEqual(statuses(responses), [200, 200, 200]);
+  });
+});
@@ -0,0 +1,113 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+process.env.TWO_FACTOR_ENCRYPTION_KEY ||= "test-two-factor-key";
+
+const { createTwoFactorSecret, generateRecoveryCodes, matchTwoFactorCode } =
+  await import("../src/utils/twoFactor.js");
+
+// The shared secret of the RFC 4226 / RFC 6238 SHA-1 test vectors
+const RFC_SECRET = Buffer.from("12345678901234567890");
+const RFC_SECRET_BASE32 = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+// Enroll with the RFC secret instead of a random one
+const enrollWithRfcSecret = () => {
+  const randomBytes = crypto.randomBytes;
+  mock.method(crypto, "randomBytes", (size) =>
+    size === RFC_SECRET.length ? RFC_SECRET : randomBytes(size)
+  );
+  const enrollment = createTwoFactorSecret({ username: "alice" });
+  mock.restoreAll();
+  return enrollment;
+};
+
+const atTime = (seconds) => mock.method(Date, "now", () => seconds * 1000);
+
+describe("two-factor codes", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("encodes the secret as base32", () => {
+    const { secret, otpauthUri } = enrollWithRfcSecret();
+
+    assert.equal(secret, RFC_SECRET_BASE32);
+    assert.match(otpauthUri, /^otpauth:\/\/totp\/VideoTube%3Aalice\?/);
+    assert.match(otpauthUri, new RegExp(`secret=${RFC_SECRET_BASE32}`));
+  });
+
+  it("keeps the secret encrypted at rest", () => {
+    const { encryptedSecret } = enrollWithRfcSecret();
+
+    assert.ok(!encryptedSecret.includes(RFC_SECRET_BASE32));
+    assert.equal(encryptedSecret.split(".").length, 3);
+  });
+
+  it("accepts the RFC 6238 test vectors", () => {
+    const { encryptedSecret } = enrollWithRfcSecret();
+    const vectors = [
+      [59, "287082"],
+      [1111111109, "081804"],
+      [1111111111, "050471"],
+      [1234567890, "005924"],
+      [2000000000, "279037"],
+    ];
+
+    for (const [seconds, code] of vectors) {
+      atTime(seconds);
+      assert.equal(
+        matchTwoFactorCode(encryptedSecret, code),
+        Math.floor(seconds / 30),
+        `code at ${seconds}s`
+      );
+      mock.restoreAll();
+    }
+  });
+
+  it("allows one step of clock drift", () => {
+    const { encryptedSecret } = enrollWithRfcSecret();
+
+    // 287082 is the code of step 1 (30s - 59s)
+    atTime(89);
+    assert.equal(matchTwoFactorCode(encryptedSecret, "287082"), 1);
+    mock.restoreAll();
+
+    atTime(95);
+    assert.equal(matchTwoFactorCode(encryptedSecret, "287082"), null);
+  });
+
+  it("ignores spaces and rejects malformed codes", () => {
+    const { encryptedSecret } = enrollWithRfcSecret();
+    atTime(59);
+
+    assert.equal(matchTwoFactorCode(encryptedSecret, "287 082"), 1);
+    assert.equal(matchTwoFactorCode(encryptedSecret, "28708"), null);
+    assert.equal(matchTwoFactorCode(encryptedSecret, "2870822"), null);
+    assert.equal(matchTwoFactorCode(encryptedSecret, "abcdef"), null);
+    assert.equal(matchTwoFactorCode(encryptedSecret, ""), null);
+    assert.equal(matchTwoFactorCode(undefined, "287082"), null);
+  });
+
+  it("can't decrypt a secret with another key", () => {
+    const { encryptedSecret } = enrollWithRfcSecret();
+    const key = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = "another-key";
+
+    try {
+      assert.throws(() => matchTwoFactorCode(encryptedSecret, "287082"));
+    } finally {
+      process.env.TWO_FACTOR_ENCRYPTION_KEY = key;
+    }
+  });
+});
+
+describe("recovery codes", () => {
+  it("generates distinct codes with matching hashes", () => {
+    const { codes, hashes } = generateRecoveryCodes();
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, codes.length);
+    for (const code of codes) assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    for (const hash of hashes) assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.equal(new Set(hashes).size, codes.length);
+  });
+});
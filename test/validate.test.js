@@ -0,0 +1,158 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { validate } from "../src/middlewares/validate.middleware.js";
+import { ApiError } from "../src/utils/ApiError.js";
+import {
+  isoDate,
+  objectId,
+  paginationQuery,
+  password,
+  username,
+} from "../src/validators/common.validator.js";
+
+// Run the middleware on a fake request, returns the request and what next got
+const run = (schema, input) => {
+  const req = { params: {}, query: {}, body: {}, ...input };
+  let result;
+  validate(schema)(req, {}, (error) => {
+    result = error;
+  });
+  return { req, error: result };
+};
+
+const fieldErrors = (error) => {
+  assert.ok(error instanceof ApiError);
+  assert.equal(error.statusCode, 400);
+  return Object.fromEntries(error.errors.map((e) => [e.field, e.message]));
+};
+
+describe("validate", () => {
+  it("coerces values and applies defaults", () => {
+    const { req, error } = run(
+      {
+        query: {
+          ...paginationQuery,
+          published: { type: "boolean" },
+          tags: { type: "array", items: { type: "string" } },
+        },
+      },
+      { query: { limit: "25", published: "false", tags: [" a ", "b"] } }
+    );
+
+    assert.equal(error, undefined);
+    assert.deepEqual(req.query, {
+      page: 1,
+      limit: 25,
+      published: false,
+      tags: ["a", "b"],
+    });
+  });
+
+  it("normalizes strings and strips unknown fields", () => {
+    const { req, error } = run(
+      {
+        body: {
+          username: { ...username, required: true },
+          email: { type: "email", required: true },
+          password: { ...password, required: true },
+        },
+      },
+      {
+        body: {
+          username: " Alice_01 ",
+          email: "Alice@Example.COM",
+          password: " secret123 ",
+          role: "admin",
+        },
+      }
+    );
+
+    assert.equal(error, undefined);
+    assert.deepEqual(req.body, {
+      username: "alice_01",
+      email: "alice@example.com",
+      password: " secret123 ", // passwords are never trimmed
+    });
+  });
+
+  it("reports every invalid field at once", () => {
+    const { req, error } = run(
+      {
+        params: { videoId: objectId() },
+        query: {
+          limit: paginationQuery.limit,
+          sortBy: { type: "enum", values: ["newest", "oldest"] },
+          from: isoDate,
+        },
+        body: {
+          title: { type: "string", required: true },
+          password: { ...password, required: true },
+        },
+      },
+      {
+        params: { videoId: "123" },
+        query: { limit: "500", sortBy: "random", from: "2024-02-30x" },
+        body: { title: "   ", password: "letters-only" },
+      }
+    );
+
+    assert.deepEqual(fieldErrors(error), {
+      videoId: "videoId is not a valid id",
+      limit: "limit must be at most 50",
+      sortBy: "sortBy must be one of: newest, oldest",
+      from: "from must be an ISO 8601 date",
+      title: "title is required",
+      password: "password must contain at least one letter and one number",
+    });
+    assert.deepEqual(
+      error.errors.map((e) => e.location),
+      ["params", "query", "query", "query", "body", "body"]
+    );
+    // Nothing is replaced when validation fails
+    assert.deepEqual(req.params, { videoId: "123" });
+  });
+
+  it("rejects values of the wrong type", () => {
+    const { error } = run(
+      {
+        body: {
+          count: { type: "int" },
+          ratio: { type: "number" },
+          enabled: { type: "boolean" },
+          name: { type: "string" },
+          ids: { type: "array", items: objectId(), maxLength: 2 },
+        },
+      },
+      {
+        body: {
+          count: "1.5",
+          ratio: "abc",
+          enabled: "yes",
+          name: { $gt: "" },
+          ids: ["507f1f77bcf86cd799439011", "nope"],
+        },
+      }
+    );
+
+    assert.deepEqual(fieldErrors(error), {
+      count: "count must be an integer",
+      ratio: "ratio must be a number",
+      enabled: "enabled must be true or false",
+      name: "name must be a string",
+      ids: "ids [1] is not a valid id",
+    });
+  });
+
+  it("runs custom validators", () => {
+    const { error } = run(
+      { query: { from: isoDate } },
+      {
+        query: { from: "2024-13-45" },
+      }
+    );
+
+    assert.deepEqual(fieldErrors(error), {
+      from: "from is not a valid date",
+    });
+  });
+});